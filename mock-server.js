@@ -0,0 +1,144 @@
+/* Mock server for the optional server sync (see README, "Server Sync")
+   Run:  node mock-server.js [port]     (default port 8787, no dependencies needed)
+   Then open http://localhost:8787/ and use http://localhost:8787/api as the server URL.
+   Boards are kept in memory only and are gone when the server stops. */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+
+/* Files of the app served next to the API (nothing else is readable) */
+const STATIC_FILES = {
+  '/': ['index.html', 'text/html; charset=utf-8'],
+  '/index.html': ['index.html', 'text/html; charset=utf-8'],
+  '/script.js': ['script.js', 'text/javascript; charset=utf-8'],
+  '/styles.css': ['styles.css', 'text/css; charset=utf-8']
+};
+
+/* The app may also be opened from another origin (e.g. a Live Server port) */
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+/* boards: boardId -> { columns, tags, order, tasks: Map(taskId -> task) } */
+const boards = new Map();
+
+/* Get a board, creating an empty one when `create` is set */
+function getBoard(boardId, create){
+  if(!boards.has(boardId) && create){
+    boards.set(boardId, { columns: null, tags: [], order: {}, tasks: new Map() });
+  }
+  return boards.get(boardId) || null;
+}
+
+/* Send a JSON answer (no body for 204) */
+function send(res, status, data){
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(status === 204 ? '' : JSON.stringify(data));
+}
+
+/* Read and parse a JSON request body */
+function readBody(req){
+  return new Promise((resolve, reject) => {
+    let text = '';
+    req.on('data', chunk => { text += chunk; });
+    req.on('end', () => {
+      try{
+        resolve(text ? JSON.parse(text) : {});
+      }catch(e){
+        reject(e);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/* GET /api/boards/:boardId - 404 until a layout has been uploaded */
+function getBoardRoute(res, boardId){
+  const stored = getBoard(boardId, false);
+  if(!stored || !stored.columns) return send(res, 404, { error: 'Board not found' });
+  send(res, 200, { columns: stored.columns, tags: stored.tags, order: stored.order, tasks: [...stored.tasks.values()] });
+}
+
+/* PUT /api/boards/:boardId/tasks/:taskId - body { task, baseUpdatedAt } */
+/* 409 with the server copy when it is not the version the client based its change on */
+function putTaskRoute(res, boardId, taskId, body){
+  const task = body.task;
+  if(!task || task.id !== taskId || typeof task.title !== 'string' || typeof task.column !== 'string' || typeof task.updatedAt !== 'string'){
+    return send(res, 400, { error: 'Invalid task' });
+  }
+  const stored = getBoard(boardId, true);
+  const current = stored.tasks.get(taskId) || null;
+  if((current ? current.updatedAt : null) !== (body.baseUpdatedAt || null)){
+    return send(res, 409, { task: current });
+  }
+  stored.tasks.set(taskId, task);
+  send(res, 200, { task });
+}
+
+/* DELETE /api/boards/:boardId/tasks/:taskId?baseUpdatedAt=... */
+function deleteTaskRoute(res, boardId, taskId, baseUpdatedAt){
+  const stored = getBoard(boardId, false);
+  const current = stored && stored.tasks.get(taskId);
+  if(!current) return send(res, 404, { error: 'Task not found' });
+  if(current.updatedAt !== baseUpdatedAt) return send(res, 409, { task: current });
+  stored.tasks.delete(taskId);
+  send(res, 204);
+}
+
+/* PUT /api/boards/:boardId/layout - body { columns, tags, order }; last write wins */
+function putLayoutRoute(res, boardId, body){
+  if(!Array.isArray(body.columns) || !body.columns.length || !body.order || typeof body.order !== 'object'){
+    return send(res, 400, { error: 'Invalid layout' });
+  }
+  const stored = getBoard(boardId, true);
+  stored.columns = body.columns;
+  stored.tags = Array.isArray(body.tags) ? body.tags : [];
+  stored.order = body.order;
+  send(res, 204);
+}
+
+/* Serve one of the app's files */
+function serveStatic(res, pathname){
+  const [file, type] = STATIC_FILES[pathname];
+  fs.readFile(path.join(__dirname, file), (err, content) => {
+    if(err) return send(res, 404, { error: 'Not found' });
+    res.writeHead(200, { 'Content-Type': type });
+    res.end(content);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  console.log(req.method, url.pathname + url.search);
+  if(req.method === 'OPTIONS') return send(res, 204);
+  if(req.method === 'GET' && STATIC_FILES[url.pathname]) return serveStatic(res, url.pathname);
+
+  const match = url.pathname.match(/^\/api\/boards\/([^/]+)(?:\/(layout|tasks\/([^/]+)))?$/);
+  if(!match) return send(res, 404, { error: 'Not found' });
+  const boardId = decodeURIComponent(match[1]);
+  const taskId = match[3] ? decodeURIComponent(match[3]) : null;
+
+  let body = {};
+  if(req.method === 'PUT'){
+    try{
+      body = await readBody(req);
+    }catch(e){
+      return send(res, 400, { error: 'Invalid JSON' });
+    }
+  }
+
+  if(!match[2] && req.method === 'GET') return getBoardRoute(res, boardId);
+  if(match[2] === 'layout' && req.method === 'PUT') return putLayoutRoute(res, boardId, body);
+  if(taskId && req.method === 'PUT') return putTaskRoute(res, boardId, taskId, body);
+  if(taskId && req.method === 'DELETE') return deleteTaskRoute(res, boardId, taskId, url.searchParams.get('baseUpdatedAt'));
+  send(res, 405, { error: 'Method not allowed' });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock sync server on http://localhost:${PORT}/ (API at http://localhost:${PORT}/api)`);
+});
@@ -1,8 +1,36 @@
 
 
 /* Storage key for localStorage - identifies the saved data location */
+/* The '-v1' suffix is historical; the payload itself carries a schema version */
+/* Used as-is by the default board; other boards append ':<boardId>' (see boardStorageKey) */
 const STORAGE_KEY = 'draggable-todo-board-v1';
 
+/* Storage key for the list of boards and the last opened board */
+const BOARDS_KEY = 'draggable-todo-boards-v1';
+
+/* Id of the board that existed before multiple boards were supported */
+const DEFAULT_BOARD_ID = 'default';
+
+/* Current shape of the saved payload (see MIGRATIONS for the older ones) */
+const SCHEMA_VERSION = 5;
+
+/* Storage key for task records that failed validation and were set aside on load */
+const QUARANTINE_KEY = 'draggable-todo-quarantine-v1';
+
+/* Storage key for the undo/redo history, and how many steps of it survive a reload */
+const HISTORY_KEY = 'draggable-todo-history-v1';
+const HISTORY_LIMIT = 30;
+const HISTORY_SAVE_DELAY = 1000; // ms after a step before the history is written
+
+/* BroadcastChannel name used to tell other open tabs about saved boards */
+const SYNC_CHANNEL = 'draggable-todo-sync-v1';
+
+/* Storage key for user preferences shared by all boards */
+const PREFS_KEY = 'draggable-todo-prefs-v1';
+
+/* Storage key for the server sync queue of each board (other boards append ':<boardId>') */
+const SERVER_SYNC_KEY = 'draggable-todo-server-sync-v1';
+
 /* ========== DOM ELEMENT REFERENCES ========== */
 /* Cache HTML element references for efficient access throughout app */
 
@@ -12,24 +40,144 @@ const modalBackdrop = document.getElementById('modalBackdrop');     // Modal ove
 const taskForm = document.getElementById('taskForm');               // Task form
 const taskTitleInput = document.getElementById('taskTitle');        // Title input field
 const taskDescInput = document.getElementById('taskDesc');          // Description textarea
+const taskDescPreview = document.getElementById('taskDescPreview'); // Rendered description (Preview mode)
+const descWriteBtn = document.getElementById('descWrite');          // Description "Write" toggle
+const descPreviewBtn = document.getElementById('descPreview');      // Description "Preview" toggle
 const taskColumnSelect = document.getElementById('taskColumn');     // Column dropdown in modal
+const taskDueInput = document.getElementById('taskDue');            // Due date/time input in modal
+const taskPrioritySelect = document.getElementById('taskPriority'); // Priority dropdown in modal
+const taskRepeatSelect = document.getElementById('taskRepeat');     // Repeat mode in modal
+const taskRepeatEveryInput = document.getElementById('taskRepeatEvery'); // "Every N days" number
+const taskRepeatDays = document.getElementById('taskRepeatDays');   // Weekday checkboxes for weekly repeats
+const checklistEl = document.getElementById('taskChecklist');       // Checklist items in modal
+const checklistNewInput = document.getElementById('checklistNew');  // New checklist item text
+const checklistAddBtn = document.getElementById('checklistAdd');    // Add checklist item button
+const prefConfirmChecklist = document.getElementById('prefConfirmChecklist'); // "Ask before completing" preference
 const modalTitle = document.getElementById('modalTitle');           // Modal heading
 const cancelModalBtn = document.getElementById('cancelModal');      // Cancel button
 const announcer = document.getElementById('announcer');             // Screen reader region
 const toast = document.getElementById('toast');                     // Toast notification
 const titleInputInline = document.getElementById('titleInput');     // Quick-add title input
 const columnSelectInline = document.getElementById('columnSelect'); // Quick-add column dropdown
+const quickAddPreview = document.getElementById('quickAddPreview'); // What the quick-add syntax understood
+const searchInput = document.getElementById('searchInput');         // Live search box
+const tagFilterPill = document.getElementById('tagFilterPill');     // "Tag: x ×" indicator for the active tag filter
+const manageTagsBtn = document.getElementById('manageTags');        // Tags button (controls row)
+const modalManageTagsBtn = document.getElementById('modalManageTags'); // Manage tags link in the task modal
+const taskTagPicker = document.getElementById('taskTagPicker');     // Tag toggles in the task modal
+const tagsBackdrop = document.getElementById('tagsBackdrop');       // Tag manager dialog overlay
+const tagListEl = document.getElementById('tagList');               // Tag manager rows
+const newTagForm = document.getElementById('newTagForm');           // Tag manager "add tag" form
+const newTagNameInput = document.getElementById('newTagName');      // New tag name
+const newTagColorInput = document.getElementById('newTagColor');    // New tag color
+const closeTagsBtn = document.getElementById('closeTags');          // Tag manager Done button
 const clearStorageBtn = document.getElementById('clearStorage');    // Clear all button
+const storageWarning = document.getElementById('storageWarning');   // Banner shown when nothing can be saved
+const addColumnBtn = document.getElementById('addColumn');          // Add Column button
+const boardSelect = document.getElementById('boardSelect');         // Board switcher dropdown
+const newBoardBtn = document.getElementById('newBoard');            // New board button
+const renameBoardBtn = document.getElementById('renameBoard');      // Rename board button
+const duplicateBoardBtn = document.getElementById('duplicateBoard'); // Duplicate board button
+const deleteBoardBtn = document.getElementById('deleteBoard');      // Delete board button
+const taskBoardRow = document.getElementById('taskBoardRow');       // Board field in the edit modal
+const taskBoardSelect = document.getElementById('taskBoard');       // Board dropdown in the edit modal
+const taskActivityRow = document.getElementById('taskActivityRow'); // Activity section of the edit modal
+const taskActivityEl = document.getElementById('taskActivity');     // Activity timeline entries
+const bulkBar = document.getElementById('bulkBar');                 // Bulk action bar (shown while cards are selected)
+const bulkCount = document.getElementById('bulkCount');             // "N selected" label
+const bulkColumnSelect = document.getElementById('bulkColumn');     // Bulk "move to" column dropdown
+const bulkFieldSelect = document.getElementById('bulkField');       // Bulk "set field" dropdown
+const bulkValueInput = document.getElementById('bulkValue');        // Bulk "set field" value
+const exportBtn = document.getElementById('exportBoard');           // Export button
+const exportFormatSelect = document.getElementById('exportFormat'); // Export format dropdown (JSON/CSV/Markdown)
+const importBtn = document.getElementById('importBoard');           // Import button
+const importFileInput = document.getElementById('importFile');      // Hidden file picker for Import
+const importBackdrop = document.getElementById('importBackdrop');   // Import options dialog overlay
+const importForm = document.getElementById('importForm');           // Import options form
+const importSummary = document.getElementById('importSummary');     // Import file summary text
+const cancelImportBtn = document.getElementById('cancelImport');    // Import dialog Cancel button
+const syncStatusBtn = document.getElementById('syncStatus');        // Sync status indicator (opens the sync settings)
+const syncBackdrop = document.getElementById('syncBackdrop');       // Sync settings dialog overlay
+const syncForm = document.getElementById('syncForm');               // Sync settings form
+const syncEndpointInput = document.getElementById('syncEndpoint');  // Server URL
+const syncEnabledInput = document.getElementById('syncEnabled');    // "Sync with this server" checkbox
+const syncDetail = document.getElementById('syncDetail');           // Status line in the sync dialog
+const syncNowBtn = document.getElementById('syncNow');              // Sync now button
+const cancelSyncBtn = document.getElementById('cancelSync');        // Sync dialog Cancel button
+const archiveBtn = document.getElementById('openArchive');          // Archive button (controls row)
+const trashBtn = document.getElementById('openTrash');              // Trash button, shows the number of deleted tasks
+const archiveMatchesBtn = document.getElementById('archiveMatches'); // "n in archive" link next to the search box
+const archiveBackdrop = document.getElementById('archiveBackdrop'); // Archive dialog overlay
+const archiveSearchInput = document.getElementById('archiveSearch'); // Archive search box
+const archiveSummary = document.getElementById('archiveSummary');   // Archive count / match text
+const archiveListEl = document.getElementById('archiveList');       // Archived task rows
+const closeArchiveBtn = document.getElementById('closeArchive');    // Archive dialog Done button
+const trashBackdrop = document.getElementById('trashBackdrop');     // Trash dialog overlay
+const trashRetentionInput = document.getElementById('trashRetention'); // Days deleted tasks are kept
+const trashSummary = document.getElementById('trashSummary');       // Trash count text
+const trashListEl = document.getElementById('trashList');           // Deleted task rows
+const emptyTrashBtn = document.getElementById('emptyTrash');        // Empty trash button (permanent)
+const closeTrashBtn = document.getElementById('closeTrash');        // Trash dialog Done button
+const statsBtn = document.getElementById('openStats');              // Statistics button (controls row)
+const statsBackdrop = document.getElementById('statsBackdrop');     // Statistics dialog overlay
+const statsFromInput = document.getElementById('statsFrom');        // First day of the statistics range
+const statsToInput = document.getElementById('statsTo');            // Last day of the statistics range
+const statsBody = document.getElementById('statsBody');             // Figures and charts (drawn by renderStats)
+const closeStatsBtn = document.getElementById('closeStats');        // Statistics dialog Done button
 
 /* ========== DATA MODEL ========== */
-/* In-memory board state: stores all tasks organized by column */
-/* Structure: { todo: [...], inprogress: [...], done: [...] } */
-/* Each task: { id, title, description, column, createdAt, updatedAt } */
-let board = { todo: [], inprogress: [], done: [] };
+/* Column definitions used for a brand new board (or after "Clear Saved") */
+const DEFAULT_COLUMNS = [
+  {key:'todo', title:'To Do'},            // Column 1: Tasks to begin
+  {key:'inprogress', title:'In Progress'}, // Column 2: Tasks being worked on
+  {key:'done', title:'Done'}              // Column 3: Completed tasks
+];
+
+/* Column metadata: the single source of truth for which columns exist and their order */
+/* Users can add, rename, reorder and remove columns; persisted alongside the tasks */
+let columnsMeta = DEFAULT_COLUMNS.map(c => ({...c}));
+
+/* In-memory board state: stores all tasks organized by column key */
+/* Structure: { [columnKey]: [...] } with one array per entry in columnsMeta */
+/* Each task: { id, title, description, column, tags, due, checklist, activity, createdAt, updatedAt } */
+/* tags: ids from tagsMeta; due: ISO timestamp or null; checklist: [{ id, text, done }] */
+/* recurrence (repeating tasks only): { freq, weekdays?, every? } (see Recurring tasks) */
+/* priority (prioritised tasks only): 0 (P0, most urgent) to 3 (P3) (see Priorities) */
+/* activity: append-only log, oldest first: [{ type, at, ... }] (see Task activity) */
+let board = emptyBoard();
+
+/* Tag palette of the current board: [{ id, name, color }] (user-managed, persisted with the board) */
+let tagsMeta = [];
+
+/* Archived tasks of the current board, newest first: tasks plus { archivedAt, position } */
+/* position: index the task had in its column, used when it is restored */
+let archive = [];
+
+/* Deleted tasks waiting in the trash, newest first: tasks plus { deletedAt, position } */
+/* Removed for good by "Empty trash" or after prefs.trashRetentionDays */
+let trash = [];
+
+/* Colors offered to new tags, in order */
+const TAG_COLORS = ['#EF4444', '#F59E0B', '#10B981', '#3B82F6', '#8B5CF6', '#EC4899', '#14B8A6', '#6B7280'];
+
+/* List of boards ({ id, name }) and the board shown last; persisted under BOARDS_KEY */
+let boardsIndex = { boards: [{ id: DEFAULT_BOARD_ID, name: 'My Board' }], lastBoardId: DEFAULT_BOARD_ID };
+
+/* Board whose columns and tasks are currently loaded into columnsMeta / board */
+let currentBoardId = DEFAULT_BOARD_ID;
+
+/* User preferences shared by all boards; persisted under PREFS_KEY */
+/* confirmOpenChecklist: ask before moving a card with open checklist items into the last column */
+/* syncEnabled / syncEndpoint: opt-in server sync and the REST API base URL (see Sync with a server) */
+/* trashRetentionDays: how long deleted tasks stay in the trash */
+let prefs = { confirmOpenChecklist: false, syncEnabled: false, syncEndpoint: '', trashRetentionDays: 30 };
 
 /* Track which task is being edited (null if creating new) */
 let editingTaskId = null;
 
+/* updatedAt of the edited task when the modal opened (to notice changes made in another tab) */
+let editingTaskStamp = null;
+
 /* ========== UTILITY FUNCTIONS ========== */
 
 /* Generate unique task ID: 't_' prefix + random alphanumeric string */
@@ -37,610 +185,5728 @@ function genId(){
   return 't_' + Math.random().toString(36).slice(2,10); 
 }
 
+/* Generate checklist item ID: 'i_' prefix + random alphanumeric string */
+function genItemId(){
+  return 'i_' + Math.random().toString(36).slice(2,10);
+}
+
 /* Get current timestamp in ISO 8601 format (for createdAt, updatedAt fields) */
 function nowISO(){ 
   return new Date().toISOString(); 
 }
 
-/* ========== STORAGE FUNCTIONS ========== */
+/* Reset the loaded board to the default columns with no tasks */
+function resetBoardState(){
+  columnsMeta = DEFAULT_COLUMNS.map(c => ({...c}));
+  board = emptyBoard();
+  tagsMeta = [];
+  archive = [];
+  trash = [];
+}
 
-/* Load tasks from browser localStorage and populate board data model */
-/* Returns true if load successful, false if no data or corrupted */
-function loadFromStorage(){
-  const raw = localStorage.getItem(STORAGE_KEY);
-  if(!raw) return false; // No saved data exists
-  
-  try{
-    const parsed = JSON.parse(raw);
-    
-    // Validate JSON structure has all required columns
-    if(parsed && typeof parsed === 'object' && parsed.todo && parsed.inprogress && parsed.done){
-      board = parsed;
-      // Ensure columns are arrays (defensive programming)
-      board.todo = board.todo || [];
-      board.inprogress = board.inprogress || [];
-      board.done = board.done || [];
-      return true;
-    } else {
-      throw new Error('Invalid data structure');
+/* Build an empty board with one task array per defined column */
+function emptyBoard(){
+  const b = {};
+  columnsMeta.forEach(c => { b[c.key] = []; });
+  return b;
+}
+
+/* ========== SCHEMA VERSIONING & MIGRATIONS ========== */
+/* Saved payload history:
+   v1: { todo: [...], inprogress: [...], done: [...] }           (fixed columns)
+   v2: { columns: [{key,title}], board: { [key]: [...] } }        (user-defined columns)
+   v3: { version: 3, columns, board }                             (explicit version field)
+   v4: { version: 4, columns, board, tags: [{id,name,color}] }    (tag palette; tasks carry tag ids)
+   v5: { version: 5, columns, board, tags, archive, trash }       (archived and deleted tasks) */
+
+/* Each migration upgrades a payload from version N to N+1 */
+const MIGRATIONS = {
+  1: (data) => ({
+    columns: DEFAULT_COLUMNS.map(c => ({...c})),
+    board: {
+      todo: data.todo || [],
+      inprogress: data.inprogress || [],
+      done: data.done || []
     }
-  }catch(e){
-    // Data is corrupted - inform user and start fresh
-    showToast('Saved data could not be loaded. Starting fresh.');
-    localStorage.removeItem(STORAGE_KEY); // Clear corrupted data
-    board = { todo: [], inprogress: [], done: [] };
-    return false;
-  }
+  }),
+  2: (data) => ({
+    version: 3,
+    columns: data.columns,
+    board: data.board
+  }),
+  3: (data) => ({
+    ...data,
+    version: 4,
+    tags: []
+  }),
+  4: (data) => ({
+    ...data,
+    version: 5,
+    archive: [],
+    trash: []
+  })
+};
+
+/* Work out which schema version a parsed payload was saved with */
+function detectSchemaVersion(data){
+  if(typeof data.version === 'number') return data.version;
+  if(Array.isArray(data.columns)) return 2;
+  return 1;
 }
 
-/* Save current board state to browser localStorage as JSON */
-/* Called after every data modification (create, move, delete, edit) */
-/* Includes error handling for storage quota exceeded scenarios */
-function saveToStorage(){
-  try{
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(board));
-  }catch(e){
-    // Storage quota exceeded or localStorage disabled
-    showToast('Unable to save changes; please check browser storage settings.');
-    console.error('LocalStorage save error', e);
+/* Upgrade a parsed payload step by step to SCHEMA_VERSION */
+/* Throws if the payload is not an object, too new, or a step is missing */
+function migratePayload(data){
+  if(!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Invalid data structure');
+  let version = detectSchemaVersion(data);
+  if(version > SCHEMA_VERSION) throw new Error(`Saved with a newer schema version (${version})`);
+  while(version < SCHEMA_VERSION){
+    const migrate = MIGRATIONS[version];
+    if(!migrate) throw new Error(`No migration from schema version ${version}`);
+    data = migrate(data);
+    version++;
   }
+  return data;
 }
 
-/* ========== NOTIFICATION FUNCTIONS ========== */
-
-/* Show toast notification for user feedback */
-/* Automatically hides after specified duration (default: 1400ms) */
-let toastTimer = null;
-function showToast(msg, duration=1400){
-  toast.textContent = msg;              // Set notification text
-  toast.style.display = 'block';        // Show the toast
-  if(toastTimer) clearTimeout(toastTimer); // Clear previous timer
-  
-  // Auto-hide after duration
-  toastTimer = setTimeout(()=>{ 
-    toast.style.display='none'; 
-  }, duration);
+/* True if value is a string that parses as a date */
+function isValidTimestamp(value){
+  return typeof value === 'string' && !isNaN(Date.parse(value));
 }
 
-/* Announce message to screen reader users via aria-live region */
-/* Provides audio feedback for accessibility */
-function announce(msg){
-  announcer.textContent = msg;
+/* Validate one task record; returns a reason string, or null if the task is usable */
+function validateTask(task, seenIds){
+  if(!task || typeof task !== 'object' || Array.isArray(task)) return 'not an object';
+  if(typeof task.id !== 'string' || !task.id) return 'missing id';
+  if(seenIds.has(task.id)) return 'duplicate id';
+  if(typeof task.title !== 'string' || !task.title.trim()) return 'missing title';
+  if(!isValidTimestamp(task.createdAt)) return 'invalid createdAt';
+  if(!isValidTimestamp(task.updatedAt)) return 'invalid updatedAt';
+  return null;
 }
 
-/* ========== SECTION 2: RENDERING ========== */
-
-/* Column metadata: defines the three kanban columns */
-/* Modify this array to change column names or add new columns */
-const columnsMeta = [
-  {key:'todo', title:'To Do'},            // Column 1: Tasks to begin
-  {key:'inprogress', title:'In Progress'}, // Column 2: Tasks being worked on
-  {key:'done', title:'Done'}              // Column 3: Completed tasks
-];
+/* Check the column list of a migrated payload; throws when it cannot be used at all */
+function validateColumns(columns){
+  const seen = new Set();
+  const valid = Array.isArray(columns) && columns.length > 0 && columns.every(c =>
+    c && typeof c.key === 'string' && c.key && typeof c.title === 'string' && !seen.has(c.key) && seen.add(c.key));
+  if(!valid) throw new Error('Invalid column definitions');
+  return columns.map(c => {
+    const col = {key:c.key, title:c.title};
+    // optional settings: unknown sort modes fall back to manual order, limits are positive whole numbers
+    if(COLUMN_SORTS[c.sort] && c.sort !== 'manual') col.sort = c.sort;
+    if(Number.isInteger(c.limit) && c.limit > 0) col.limit = c.limit;
+    return col;
+  });
+}
 
-/* Create a single column element with header, task list, and drag-drop listeners */
-function createColumnEl(colKey, colTitle){
-  // Create section element for the column
-  const col = document.createElement('section');
-  col.className = 'column';
-  col.dataset.column = colKey; // Store column key for identification
-  col.setAttribute('aria-label', colTitle);
-  col.setAttribute('role','region');
+/* Check the tag palette of a migrated payload; invalid entries are dropped */
+function validateTags(tags){
+  if(!Array.isArray(tags)) return [];
+  const seen = new Set();
+  return tags.filter(t =>
+    t && typeof t.id === 'string' && t.id && typeof t.name === 'string' && t.name.trim() && !seen.has(t.id) && seen.add(t.id))
+    .map(t => ({ id: t.id, name: t.name.trim(), color: /^#[0-9a-f]{6}$/i.test(t.color) ? t.color : TAG_COLORS[0] }));
+}
 
-  // Create column header with title and add button
-  const header = document.createElement('div');
-  header.className = 'col-title';
-  header.innerHTML = `<span>${colTitle}</span><button class="secondary" title="Add to ${colTitle}" aria-label="Add task to ${colTitle}">＋</button>`;
-  
-  // Attach click listener to add button
-  const addBtn = header.querySelector('button');
-  addBtn.addEventListener('click', ()=>openModalForCreate(colKey));
-  col.appendChild(header);
+/* Keep the usable checklist items of a task ({ id, text, done }); missing ids are filled in */
+function validateChecklist(items){
+  if(!Array.isArray(items)) return [];
+  const seen = new Set();
+  return items.filter(i => i && typeof i.text === 'string' && i.text.trim()).map(i => {
+    const id = typeof i.id === 'string' && i.id && !seen.has(i.id) ? i.id : genItemId();
+    seen.add(id);
+    return { id, text: i.text.trim(), done: i.done === true };
+  });
+}
 
-  // Create task list container (where task cards go)
-  const taskList = document.createElement('div');
-  taskList.className = 'task-list';
-  taskList.dataset.column = colKey;
-  taskList.setAttribute('aria-live','polite'); // Announce changes to screen readers
-  taskList.setAttribute('role','list');
-  col.appendChild(taskList);
+/* Validated copy of a task's repeat rule, or null (see Recurring tasks):
+     { freq: 'daily' } | { freq: 'weekly', weekdays: [1, 4] } (0 = Sunday) | { freq: 'monthly' } | { freq: 'interval', every: 3 } */
+function validateRecurrence(rule){
+  if(!rule) return null;
+  if(rule.freq === 'daily' || rule.freq === 'monthly') return { freq: rule.freq };
+  if(rule.freq === 'weekly'){
+    const weekdays = Array.isArray(rule.weekdays)
+      ? [...new Set(rule.weekdays)].filter(d => Number.isInteger(d) && d >= 0 && d <= 6).sort((a, b) => a - b)
+      : [];
+    return weekdays.length ? { freq: 'weekly', weekdays } : null;
+  }
+  if(rule.freq === 'interval' && Number.isInteger(rule.every) && rule.every >= 1 && rule.every <= 365){
+    return { freq: 'interval', every: rule.every };
+  }
+  return null;
+}
 
-  // Attach drag-and-drop event listeners to this column
-  makeColumnDroppable(col, taskList);
+/* Keep the readable entries of a task's activity log; tasks saved before the log existed get a "created" entry */
+function validateActivity(entries, task){
+  const valid = Array.isArray(entries) ? entries.filter(a =>
+    a && ACTIVITY_TYPES.includes(a.type) && isValidTimestamp(a.at)) : [];
+  if(valid.length === 0) return [{ type: 'created', at: task.createdAt }];
+  return valid.map(a => {
+    const entry = { type: a.type, at: a.at };
+    ['field', 'from', 'to', 'column', 'due'].forEach(k => { if(typeof a[k] === 'string') entry[k] = a[k]; });
+    return entry;
+  });
+}
 
-  return col;
+/* Fill in or repair the optional fields of a task that passed validateTask */
+function normalizeTask(task, knownTags){
+  if(typeof task.description !== 'string') task.description = '';
+  // keep only references to tags that exist in the palette
+  task.tags = Array.isArray(task.tags) ? [...new Set(task.tags)].filter(id => knownTags.has(id)) : [];
+  // an unreadable due date is dropped rather than rejecting the task
+  task.due = isValidTimestamp(task.due) ? task.due : null;
+  task.checklist = validateChecklist(task.checklist);
+  task.activity = validateActivity(task.activity, task);
+  // only repeating tasks carry a rule
+  const recurrence = validateRecurrence(task.recurrence);
+  if(recurrence) task.recurrence = recurrence;
+  else delete task.recurrence;
+  if(!isPriority(task.priority)) delete task.priority;
 }
 
-function render(){
-  boardEl.innerHTML = '';
-  columnsMeta.forEach(({key,title})=>{
-    const col = createColumnEl(key,title);
-    const list = col.querySelector('.task-list');
-    const tasks = board[key] || [];
-    if(tasks.length === 0){
-      const empty = document.createElement('div');
-      empty.className = 'col-empty';
-      empty.textContent = 'No tasks — add one using the “Add Task” button.';
-      list.appendChild(empty);
-    } else {
-      tasks.forEach(task => {
-        const el = createTaskCard(task);
-        list.appendChild(el);
-      });
+/* Validate the archive or trash list (`stampField`: 'archivedAt' / 'deletedAt'), newest first */
+/* Their column may no longer exist: restoring falls back to the first column */
+function validateShelf(list, stampField, seenIds, knownTags, rejected, shelfName){
+  if(!Array.isArray(list)) return [];
+  return list.filter(task => {
+    const reason = validateTask(task, seenIds);
+    if(reason){
+      rejected.push({ record: task, column: shelfName, reason });
+      return false;
     }
-    boardEl.appendChild(col);
-  });
+    seenIds.add(task.id);
+    normalizeTask(task, knownTags);
+    if(typeof task.column !== 'string') task.column = '';
+    if(!Number.isInteger(task.position) || task.position < 0) task.position = 0;
+    if(!isValidTimestamp(task[stampField])) task[stampField] = task.updatedAt;
+    return true;
+  }).sort((a, b) => Date.parse(b[stampField]) - Date.parse(a[stampField]));
 }
 
-/* create single task card element */
-function createTaskCard(task){
-  const card = document.createElement('div');
-  card.className = 'task-card';
-  card.setAttribute('draggable','true');
-  card.dataset.id = task.id;
-  card.dataset.column = task.column;
-  card.tabIndex = 0;
-  card.setAttribute('role','listitem');
-  card.setAttribute('aria-grabbed','false');
-  card.setAttribute('aria-label', `${task.title}. ${task.description || ''}`);
-
-  // drag handle
-  const handleBtn = document.createElement('button');
-  handleBtn.className = 'drag-handle';
-  handleBtn.title = "Drag";
-  handleBtn.setAttribute('aria-hidden', 'true');
-  handleBtn.innerHTML = svgBars();
-  card.appendChild(handleBtn);
+/* Validate every task of a migrated payload */
+/* Returns { columns, board, tags, archive, trash, rejected } where rejected holds the records set aside */
+function validatePayload(data){
+  const columns = validateColumns(data.columns);
+  if(!data.board || typeof data.board !== 'object') throw new Error('Invalid data structure');
+  const tags = validateTags(data.tags);
+  const knownTags = new Set(tags.map(t => t.id));
 
-  // body
-  const body = document.createElement('div');
-  body.className = 'task-body';
-  const t = document.createElement('div');
-  t.className = 'task-title';
-  t.textContent = task.title;
-  const d = document.createElement('div');
-  d.className = 'task-desc';
-  d.textContent = task.description || '';
-  body.appendChild(t);
-  body.appendChild(d);
-  card.appendChild(body);
+  const result = {};
+  const rejected = [];
+  const seenIds = new Set();
+  const known = new Set(columns.map(c => c.key));
+  columns.forEach(c => { result[c.key] = []; });
 
-  // actions
-  const actions = document.createElement('div');
-  actions.className = 'task-actions';
-  const editBtn = document.createElement('button');
-  editBtn.className = 'icon-btn';
-  editBtn.title = 'Edit';
-  editBtn.setAttribute('aria-label', `Edit task: ${task.title}`);
-  editBtn.innerHTML = svgPencil();
-  editBtn.addEventListener('click', (e)=>{
-    e.stopPropagation();
-    openModalForEdit(task.id);
-  });
-  const delBtn = document.createElement('button');
-  delBtn.className = 'icon-btn';
-  delBtn.title = 'Delete';
-  delBtn.setAttribute('aria-label', `Delete task: ${task.title}`);
-  delBtn.innerHTML = svgTrash();
-  delBtn.addEventListener('click', (e)=>{
-    e.stopPropagation();
-    deleteTaskWithConfirm(task.id);
+  Object.keys(data.board).forEach(key => {
+    const tasks = data.board[key];
+    if(!Array.isArray(tasks)) return;
+    tasks.forEach(task => {
+      const reason = known.has(key) ? validateTask(task, seenIds) : 'unknown column';
+      if(reason){
+        rejected.push({ record: task, column: key, reason });
+        return;
+      }
+      seenIds.add(task.id);
+      // The array a task is stored in is authoritative for its column
+      task.column = key;
+      normalizeTask(task, knownTags);
+      result[key].push(task);
+    });
   });
-  actions.appendChild(editBtn);
-  actions.appendChild(delBtn);
-  card.appendChild(actions);
+  const archived = validateShelf(data.archive, 'archivedAt', seenIds, knownTags, rejected, 'archive');
+  const deleted = validateShelf(data.trash, 'deletedAt', seenIds, knownTags, rejected, 'trash');
+  return { columns, board: result, tags, archive: archived, trash: deleted, rejected };
+}
 
-  /* drag events */
-  card.addEventListener('dragstart', handleDragStart);
-  card.addEventListener('dragend', handleDragEnd);
-  card.addEventListener('keydown', handleCardKeydown);
+/* Append rejected task records to the quarantine store so they are not lost */
+function quarantineRecords(rejected){
+  let existing = [];
+  try{
+    existing = JSON.parse(localStorage.getItem(QUARANTINE_KEY) || '[]');
+    if(!Array.isArray(existing)) existing = [];
+  }catch(e){ existing = []; }
+  const at = nowISO();
+  rejected.forEach(r => existing.push({ ...r, quarantinedAt: at }));
+  try{
+    localStorage.setItem(QUARANTINE_KEY, JSON.stringify(existing));
+  }catch(e){
+    console.error('Could not store quarantined tasks', rejected, e);
+  }
+}
 
-  return card;
+/* Keep a raw copy of a payload that could not be loaded under '<storageKey>-backup-<timestamp>' */
+/* Returns the backup key (or null if it could not be written) */
+function backupRawPayload(raw, storageKey){
+  const key = `${storageKey}-backup-${Date.now()}`;
+  try{
+    localStorage.setItem(key, raw);
+    return key;
+  }catch(e){
+    console.error('Could not back up saved data', e);
+    return null;
+  }
 }
 
-/* --- Drag & Drop Implementation (native drag events) --- */
+/* ========== STORAGE ADAPTERS ========== */
+/* Boards are saved through a storage adapter, so the backend can change without touching the rest of the app.
+   Every adapter has the same interface:
+     name                         backend name used in messages
+     persistent                   false when data only lives as long as the tab
+     open()                       resolves when the backend is ready, rejects when it cannot be used
+     loadBoard(boardId)           resolves to the saved payload (an object, or JSON text), or null if there is none
+     saveBoard(boardId, payload)  persists a board; what to write is captured synchronously, so later
+                                  changes to the payload don't leak in and writes land in call order.
+                                  Adapters storing whole boards as text resolve to that JSON (sent to
+                                  other tabs), others to undefined
+     deleteBoard(boardId)         removes a board's data
+   initStorage() picks IndexedDB, then localStorage, then memory. */
 
-/* state used during drag */
-let draggingEl = null;
-let draggingId = null;
-let sourceColumn = null;
-let placeholderEl = null;
+/* IndexedDB database holding boards (columns, tags, task order) and tasks (one record per task) */
+const IDB_NAME = 'draggable-todo';
+const IDB_VERSION = 1;
 
-/* utility: find index in children for an element */
-function indexWithin(listEl, childEl) {
-  return Array.prototype.indexOf.call(listEl.children, childEl);
+/* Adapter in use (replaced by initStorage() before the first board is loaded) */
+let storage = createMemoryAdapter();
+
+/* Resolve/reject a promise when an IndexedDB request succeeds/fails */
+function idbRequest(req){
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
 }
 
-/* create placeholder */
-function makePlaceholder(height){
-  const p = document.createElement('div');
-  p.className = 'placeholder';
-  if(height) p.style.height = height + 'px';
-  return p;
+/* Resolve when an IndexedDB transaction commits */
+function idbTransactionDone(tx){
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
 }
 
-/* set column droppable behaviors */
-function makeColumnDroppable(columnEl, listEl){
-  let isHighlighted = false;
+/* IndexedDB: each task is its own record, so a save only writes the tasks that changed */
+/* Board records: { id, version, columns, tags, order: { columnKey: [taskId, ...] } } */
+/* Task records: the task plus boardId, keyed by [boardId, id]; archived and deleted tasks also carry */
+/* shelf: 'archive' | 'trash' */
+function createIndexedDBAdapter(){
+  let db = null;
+  // per board: what the database holds after our last read or write ({ record: JSON, tasks: Map id -> updatedAt })
+  const written = new Map();
+  const taskRange = boardId => IDBKeyRange.bound([boardId], [boardId, []]);
 
-  /* handle dragenter / dragover / dragleave / drop on list */
-  listEl.addEventListener('dragenter', (e)=>{
-    e.preventDefault();
-    if(!draggingEl || isHighlighted) return;
-    isHighlighted = true;
-    columnEl.classList.add('drop-highlight');
-  });
-
-  listEl.addEventListener('dragover', (e)=>{
-    if(!draggingEl) return;
-    e.preventDefault(); // allow drop
-
-    // compute insertion position based on pointer Y
-    const children = Array.from(listEl.querySelectorAll('.task-card:not(.dragging), .placeholder, .col-empty'));
-    let targetIndex = children.length;
-    
-    for(let i = 0; i < children.length; i++){
-      const child = children[i];
-      if(child === draggingEl) continue;
-      const rect = child.getBoundingClientRect();
-      const midpoint = rect.top + rect.height / 2;
-      if(e.clientY < midpoint){
-        targetIndex = i;
-        break;
-      }
-    }
+  return {
+    name: 'IndexedDB',
+    persistent: true,
 
-    // check if placeholder already exists and is in correct position
-    const existingPlaceholder = listEl.querySelector('.placeholder');
-    const currentIndex = existingPlaceholder ? 
-      Array.prototype.indexOf.call(listEl.children, existingPlaceholder) : -1;
+    open(){
+      return new Promise((resolve, reject) => {
+        if(!window.indexedDB) return reject(new Error('IndexedDB is not supported'));
+        const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+        req.onupgradeneeded = () => {
+          req.result.createObjectStore('boards', { keyPath: 'id' });
+          req.result.createObjectStore('tasks', { keyPath: ['boardId', 'id'] });
+        };
+        req.onsuccess = () => { db = req.result; resolve(); };
+        req.onerror = () => reject(req.error);
+      });
+    },
 
-    // only update DOM if placeholder position changed
-    if(currentIndex !== targetIndex){
-      // remove existing placeholder if any
-      if(existingPlaceholder && existingPlaceholder.parentElement) {
-        existingPlaceholder.parentElement.removeChild(existingPlaceholder);
+    async loadBoard(boardId){
+      const tx = db.transaction(['boards', 'tasks'], 'readonly');
+      const [record, tasks] = await Promise.all([
+        idbRequest(tx.objectStore('boards').get(boardId)),
+        idbRequest(tx.objectStore('tasks').getAll(taskRange(boardId)))
+      ]);
+      if(!record){
+        written.delete(boardId);
+        return null;
       }
+      written.set(boardId, { record: JSON.stringify(record), tasks: new Map(tasks.map(t => [t.id, t.updatedAt])) });
+      const byId = new Map();
+      const shelves = { archive: [], trash: [] };
+      tasks.forEach(t => {
+        delete t.boardId;
+        const shelf = shelves[t.shelf];
+        delete t.shelf;
+        if(shelf) shelf.push(t);
+        else byId.set(t.id, t);
+      });
+      const columns = Array.isArray(record.columns) ? record.columns : [];
+      const tasksByColumn = {};
+      columns.forEach(c => {
+        tasksByColumn[c.key] = ((record.order || {})[c.key] || []).map(id => byId.get(id)).filter(Boolean);
+        tasksByColumn[c.key].forEach(t => byId.delete(t.id));
+      });
+      // tasks missing from the order (e.g. added by another tab at the same time) go to the end of their column
+      byId.forEach(t => {
+        const key = tasksByColumn[t.column] ? t.column : columns.length && columns[0].key;
+        if(key) tasksByColumn[key].push(t);
+      });
+      // validatePayload puts the archive and trash back in date order
+      return { version: record.version, columns: record.columns, board: tasksByColumn, tags: record.tags, ...shelves };
+    },
 
-      // hide empty message temporarily
-      const emptyMsg = listEl.querySelector('.col-empty');
-      if(emptyMsg) emptyMsg.style.display = 'none';
+    async saveBoard(boardId, payload){
+      const known = written.get(boardId);
+      const record = { id: boardId, version: payload.version, columns: payload.columns, tags: payload.tags, order: {} };
+      const tasks = [];
+      payload.columns.forEach(({key}) => {
+        const list = payload.board[key] || [];
+        record.order[key] = list.map(t => t.id);
+        tasks.push(...list);
+      });
+      const shelved = [];
+      ['archive', 'trash'].forEach(shelf => (payload[shelf] || []).forEach(t => shelved.push({ ...t, shelf })));
+      const recordJSON = JSON.stringify(record);
+      const ids = new Set(tasks.concat(shelved).map(t => t.id));
 
-      // create and insert placeholder at computed index
-      const height = draggingEl.getBoundingClientRect().height;
-      placeholderEl = makePlaceholder(height);
-      
-      if(targetIndex >= listEl.children.length){
-        listEl.appendChild(placeholderEl);
-      } else {
-        listEl.insertBefore(placeholderEl, listEl.children[targetIndex]);
+      // put() copies records immediately, so everything below runs before the caller can change the payload
+      const tx = db.transaction(['boards', 'tasks'], 'readwrite');
+      const taskStore = tx.objectStore('tasks');
+      if(!known) taskStore.delete(taskRange(boardId)); // first write of this board: replace whatever is there
+      if(!known || known.record !== recordJSON) tx.objectStore('boards').put(record);
+      // new, edited, moved, undone and redone tasks all have a different updatedAt than the stored copy
+      // archiving and deleting change updatedAt too, so a task moving to a shelf is rewritten
+      tasks.concat(shelved).forEach(t => {
+        if(!known || known.tasks.get(t.id) !== t.updatedAt) taskStore.put({ ...t, boardId });
+      });
+      if(known) known.tasks.forEach((_, id) => { if(!ids.has(id)) taskStore.delete([boardId, id]); });
+      written.set(boardId, { record: recordJSON, tasks: new Map(tasks.concat(shelved).map(t => [t.id, t.updatedAt])) });
+      try{
+        await idbTransactionDone(tx);
+      }catch(e){
+        written.delete(boardId); // unknown state: the next save rewrites the whole board
+        throw e;
       }
+    },
+
+    async deleteBoard(boardId){
+      written.delete(boardId);
+      const tx = db.transaction(['boards', 'tasks'], 'readwrite');
+      tx.objectStore('boards').delete(boardId);
+      tx.objectStore('tasks').delete(taskRange(boardId));
+      await idbTransactionDone(tx);
     }
-  });
+  };
+}
 
-  listEl.addEventListener('dragleave', (e)=>{
-    // If leaving the column area entirely, remove highlight
-    const rect = listEl.getBoundingClientRect();
-    const x = e.clientX, y = e.clientY;
-    if(x < rect.left || x > rect.right || y < rect.top || y > rect.bottom){
-      isHighlighted = false;
-      columnEl.classList.remove('drop-highlight');
-      if(placeholderEl && placeholderEl.parentElement) {
-        placeholderEl.parentElement.removeChild(placeholderEl);
-        placeholderEl = null;
-      }
+/* localStorage: one JSON payload per board (see boardStorageKey); every save rewrites the board */
+function createLocalStorageAdapter(){
+  return {
+    name: 'localStorage',
+    persistent: true,
+    async open(){
+      // throws in browsers that block storage (e.g. some private modes)
+      const probe = `${STORAGE_KEY}-probe`;
+      localStorage.setItem(probe, '1');
+      localStorage.removeItem(probe);
+    },
+    async loadBoard(boardId){
+      return localStorage.getItem(boardStorageKey(boardId));
+    },
+    async saveBoard(boardId, payload){
+      const raw = JSON.stringify(payload);
+      localStorage.setItem(boardStorageKey(boardId), raw);
+      return raw;
+    },
+    async deleteBoard(boardId){
+      localStorage.removeItem(boardStorageKey(boardId));
     }
-  });
+  };
+}
 
-  listEl.addEventListener('drop', (e)=>{
-    e.preventDefault();
-    isHighlighted = false;
-    columnEl.classList.remove('drop-highlight');
-    
-    // restore empty message if no real tasks
-    const emptyMsg = listEl.querySelector('.col-empty');
-    if(emptyMsg) emptyMsg.style.display = '';
-    
-    if(!draggingId) return;
-
-    const toColumn = columnEl.dataset.column;
-    // determine insertion index from placeholder position
-    let newIndex = 0;
-    const children = Array.from(listEl.children);
-    const placeholderIdx = children.indexOf(placeholderEl);
-    
-    if(placeholderEl && placeholderIdx !== -1){
-      // count only actual task cards before placeholder
-      newIndex = Array.from(listEl.querySelectorAll('.task-card:not(.dragging)')).length;
-      if(placeholderIdx < children.length){
-        newIndex = Array.from(listEl.children).slice(0, placeholderIdx)
-          .filter(el => el.classList.contains('task-card')).length;
-      }
+/* Memory: last resort when the browser allows no storage; nothing survives closing the tab */
+function createMemoryAdapter(){
+  const boards = new Map();
+  return {
+    name: 'memory',
+    persistent: false,
+    async open(){},
+    async loadBoard(boardId){
+      return boards.has(boardId) ? boards.get(boardId) : null;
+    },
+    async saveBoard(boardId, payload){
+      const raw = JSON.stringify(payload);
+      boards.set(boardId, raw);
+      return raw;
+    },
+    async deleteBoard(boardId){
+      boards.delete(boardId);
     }
+  };
+}
 
-    // perform move in data model (only if column changed or position changed)
-    const taskInSourceCol = board[sourceColumn]?.findIndex(t => t.id === draggingId) ?? -1;
-    
-    if(sourceColumn !== toColumn || taskInSourceCol !== newIndex){
-      moveTaskTo(draggingId, sourceColumn, toColumn, newIndex);
+/* Use the first storage backend that works; warn when none of them can keep data */
+async function initStorage(){
+  for(const create of [createIndexedDBAdapter, createLocalStorageAdapter]){
+    const adapter = create();
+    try{
+      await adapter.open();
+      storage = adapter;
+      return;
+    }catch(e){
+      console.warn(`${adapter.name} storage is unavailable`, e);
     }
+  }
+  storage = createMemoryAdapter();
+  storageWarning.hidden = false;
+}
 
-    // cleanup
-    if(placeholderEl && placeholderEl.parentElement) {
-      placeholderEl.parentElement.removeChild(placeholderEl);
+/* One-time move of boards saved by earlier versions (localStorage keys) into the adapter in use */
+/* Boards already present in the adapter are left alone; a moved board's localStorage copy is removed */
+async function migrateLegacyBoards(){
+  if(storage.name !== 'IndexedDB') return; // the localStorage adapter reads those keys itself
+  for(const { id } of boardsIndex.boards){
+    const storageKey = boardStorageKey(id);
+    try{
+      const raw = localStorage.getItem(storageKey);
+      if(!raw || await storage.loadBoard(id)) continue;
+      const result = validatePayload(migratePayload(JSON.parse(raw)));
+      if(result.rejected.length) quarantineRecords(result.rejected.map(r => ({ ...r, boardId: id })));
+      await storage.saveBoard(id, storedPayload(result));
+      localStorage.removeItem(storageKey);
+    }catch(e){
+      // unreadable or not writable: leave the localStorage copy where it is
+      console.error('Board could not be moved to IndexedDB', id, e);
     }
-    placeholderEl = null;
-    draggingEl = null;
-    draggingId = null;
-    sourceColumn = null;
-    
-    announceOnDrop();
-    render();
-  });
+  }
 }
 
-/* dragstart handler */
-function handleDragStart(e){
-  draggingEl = e.currentTarget;
-  draggingId = draggingEl.dataset.id;
-  sourceColumn = draggingEl.dataset.column;
-  draggingEl.classList.add('dragging');
-  draggingEl.setAttribute('aria-grabbed','true');
+/* ========== STORAGE FUNCTIONS ========== */
 
-  // set drag image to default (browser) but dataTransfer holds metadata
-  try{
-    e.dataTransfer.setData('text/plain', JSON.stringify({id:draggingId, from:sourceColumn}));
-  }catch(err){ /* ignore */ }
+/* The versioned payload written to storage (and to exported files) */
+function buildPayload(){
+  return { version: SCHEMA_VERSION, columns: columnsMeta, board, tags: tagsMeta, archive, trash };
+}
 
-  announce(`Moving task "${getTaskById(draggingId).title}" — select drop target`);
+/* The versioned payload of loaded board data ({ columns, board, tags, archive, trash }) */
+function storedPayload(data){
+  return { version: SCHEMA_VERSION, columns: data.columns, board: data.board, tags: data.tags, archive: data.archive, trash: data.trash };
 }
 
-/* dragend handler */
-function handleDragEnd(e){
-  if(draggingEl){
-    draggingEl.classList.remove('dragging');
-    draggingEl.setAttribute('aria-grabbed','false');
+/* Key under which a board's payload is saved (the default board keeps the original key) */
+/* Used by the localStorage adapter and for backups of unreadable data */
+function boardStorageKey(boardId){
+  return boardId === DEFAULT_BOARD_ID ? STORAGE_KEY : `${STORAGE_KEY}:${boardId}`;
+}
+
+/* Read a board's columns and tasks through the storage adapter */
+/* Older payloads are migrated to SCHEMA_VERSION and written back in the new format */
+/* Resolves to { columns, board, tags }, or null if there is no data or it is unusable */
+async function readStoredBoard(boardId){
+  const storageKey = boardStorageKey(boardId);
+  let stored;
+  try{
+    stored = await storage.loadBoard(boardId);
+  }catch(e){
+    console.error('Saved data could not be read', e);
+    showToast('Saved data could not be read. Starting with an empty board.', 6000);
+    return null;
   }
-  // remove all highlights & placeholder
-  document.querySelectorAll('.column').forEach(col => {
-    col.classList.remove('drop-highlight');
-  });
-  if(placeholderEl && placeholderEl.parentElement) {
-    placeholderEl.parentElement.removeChild(placeholderEl);
+  if(!stored) return null; // No saved data exists
+
+  let result;
+  let migrated = false;
+  try{
+    const parsed = typeof stored === 'string' ? JSON.parse(stored) : stored;
+    const data = migratePayload(parsed);
+    migrated = detectSchemaVersion(parsed) !== SCHEMA_VERSION;
+    result = validatePayload(data);
+  }catch(e){
+    // Migration failed - keep the raw payload under a backup key, then start fresh
+    const backupKey = backupRawPayload(typeof stored === 'string' ? stored : JSON.stringify(stored), storageKey);
+    console.error('Saved data could not be migrated', e);
+    showToast(backupKey
+      ? `Saved data could not be loaded (backup kept as "${backupKey}"). Starting fresh.`
+      : 'Saved data could not be loaded. Starting fresh.', 6000);
+    if(backupKey) storage.deleteBoard(boardId).catch(err => console.error('Could not remove unreadable data', err));
+    return null;
   }
-  // restore empty messages that were hidden
-  document.querySelectorAll('.col-empty').forEach(msg => {
-    msg.style.display = '';
-  });
-  placeholderEl = null;
-  draggingEl = null;
-  draggingId = null;
-  sourceColumn = null;
-  announce('Drag ended.');
+
+  if(result.rejected.length){
+    // Individual bad records are set aside instead of discarding the whole board
+    quarantineRecords(result.rejected.map(r => ({ ...r, boardId })));
+    console.warn('Quarantined invalid tasks', result.rejected);
+    showToast(`${result.rejected.length} invalid task(s) could not be loaded and were set aside.`, 5000);
+  }
+  if(migrated || result.rejected.length){
+    persistBoard(boardId, storedPayload(result));
+  }
+  return result;
 }
 
-/* announce after drop */
-function announceOnDrop(){
-  announce('Task moved.');
+/* Load the current board's columns and tasks into the data model */
+/* Resolves to true if load successful, false if no data or unusable */
+async function loadFromStorage(){
+  const result = await readStoredBoard(currentBoardId);
+  if(!result) return false;
+  useBoardData(result);
+  return true;
 }
 
-/* move task in model */
-function moveTaskTo(id, fromCol, toCol, toIndex){
-  if(!id) return;
-  if(!board[fromCol]) return;
-  // find and remove
-  const fromArr = board[fromCol];
-  const idx = fromArr.findIndex(t=>t.id===id);
-  if(idx === -1) return;
-  const [task] = fromArr.splice(idx,1);
-  task.column = toCol;
-  task.updatedAt = nowISO();
-  // insert into toCol array at index
-  board[toCol] = board[toCol] || [];
-  if(toIndex < 0) toIndex = 0;
-  if(toIndex >= board[toCol].length) board[toCol].push(task);
-  else board[toCol].splice(toIndex,0,task);
-  saveToStorage();
+/* Make loaded columns, tasks, tags, archive and trash the current board's data */
+function useBoardData(result){
+  columnsMeta = result.columns;
+  board = result.board;
+  tagsMeta = result.tags;
+  archive = result.archive;
+  trash = result.trash;
 }
 
-/* get task by id */
-function getTaskById(id){
-  for(let k of ['todo','inprogress','done']){
-    const t = board[k].find(x=>x.id===id);
-    if(t) return t;
+/* Load user preferences (missing or unreadable prefs keep the defaults) */
+function loadPrefs(){
+  try{
+    const saved = JSON.parse(localStorage.getItem(PREFS_KEY) || '{}');
+    prefs = { ...prefs, ...saved };
+  }catch(e){
+    console.error('Failed to load preferences', e);
   }
-  return null;
 }
 
-/* --- Create / Edit / Delete --- */
+/* Save user preferences */
+function savePrefs(){
+  try{
+    localStorage.setItem(PREFS_KEY, JSON.stringify(prefs));
+  }catch(e){
+    console.error('Failed to save preferences', e);
+  }
+}
 
-function openModalForCreate(defaultColumn){
+/* Write a board through the storage adapter; resolves to false (after telling the user) if it failed */
+/* Other tabs are told about the change once it is written (see Sync between tabs) */
+/* and the changed tasks are queued for the server when server sync is on */
+function persistBoard(boardId, payload){
+  queueServerChanges(boardId, payload);
+  return storage.saveBoard(boardId, payload).then(raw => {
+    notifyOtherTabs('saved', boardId, raw);
+    return true;
+  }).catch(e => {
+    // Storage quota exceeded or storage disabled
+    showToast('Unable to save changes; please check browser storage settings.');
+    console.error('Storage save error', e);
+    return false;
+  });
+}
+
+/* Save the current board */
+/* Called after every data modification (create, move, delete, edit, column changes) */
+function saveToStorage(){
+  lastLocalSaveAt = Date.now();
+  persistBoard(currentBoardId, buildPayload());
+}
+
+/* ========== UNDO / REDO HISTORY ========== */
+/* Entries hold only what their step changed, so recording a step costs no whole-board copy:
+   { label, tasks: { [id]: JSON of the task, or null if it did not exist }, lists: { [list]: [ids] or null },
+     columns?: JSON of columnsMeta, tags?: JSON of tagsMeta }
+   where a list is a column ('column:<key>'), 'archive' or 'trash'. Undo entries hold the parts as they
+   were before their step, redo entries as they were after it; everything an entry leaves out is as it is now.
+   A step's changes are found when the next step starts (or on undo, redo and saving) by comparing the
+   board with historyBase, the version of each part the history last saw: tasks are compared by updatedAt,
+   so only tasks that changed are serialized. Persisted per board (see historyStorageKey), shortly after
+   a change rather than on every one. */
+let undoStack = [];
+let redoStack = [];
+
+/* What the history last saw: { tasks: Map id -> { updatedAt, json }, lists, columns, tags } */
+let historyBase = { tasks: new Map(), lists: {}, columns: '[]', tags: '[]' };
+
+/* Pending timer of saveHistory */
+let historySaveTimer = null;
+
+/* Every task of the board: the columns, then the archive and the trash */
+function historyTasks(){
+  return allTasks().concat(archive, trash);
+}
+
+/* Task ids of every list of the board (see above) */
+function historyLists(){
+  const lists = { archive: archive.map(t => t.id), trash: trash.map(t => t.id) };
+  columnsMeta.forEach(({key}) => { lists[`column:${key}`] = (board[key] || []).map(t => t.id); });
+  return lists;
+}
+
+function sameIds(a, b){
+  return !!a && !!b && a.length === b.length && a.every((id, i) => id === b[i]);
+}
+
+/* Start the history over from the current board (after loading one): serializes every task once */
+function resetHistoryBase(){
+  historyBase = {
+    tasks: new Map(historyTasks().map(t => [t.id, { updatedAt: t.updatedAt, json: JSON.stringify(t) }])),
+    lists: historyLists(),
+    columns: JSON.stringify(columnsMeta),
+    tags: JSON.stringify(tagsMeta)
+  };
+}
+
+/* Note everything that changed since historyBase in `entry` (by default the top undo entry; parts it
+   already has keep their older version), then move historyBase up to the current board */
+function settleHistory(entry = undoStack[undoStack.length - 1]){
+  const note = (field, key, before) => {
+    if(entry && !(key in entry[field])) entry[field][key] = before;
+  };
+  const seen = new Set();
+  historyTasks().forEach(task => {
+    seen.add(task.id);
+    const base = historyBase.tasks.get(task.id);
+    if(base && base.updatedAt === task.updatedAt) return;
+    note('tasks', task.id, base ? base.json : null);
+    historyBase.tasks.set(task.id, { updatedAt: task.updatedAt, json: JSON.stringify(task) });
+  });
+  historyBase.tasks.forEach((base, id) => {
+    if(seen.has(id)) return;
+    note('tasks', id, base.json);
+    historyBase.tasks.delete(id);
+  });
+  const lists = historyLists();
+  new Set(Object.keys(lists).concat(Object.keys(historyBase.lists))).forEach(name => {
+    if(!sameIds(lists[name], historyBase.lists[name])) note('lists', name, historyBase.lists[name] || null);
+  });
+  historyBase.lists = lists;
+  ['columns', 'tags'].forEach(part => {
+    const json = JSON.stringify(part === 'columns' ? columnsMeta : tagsMeta);
+    if(json === historyBase[part]) return;
+    if(entry && !(part in entry)) entry[part] = historyBase[part];
+    historyBase[part] = json;
+  });
+}
+
+/* Make the board match an entry: its tasks, lists, columns and tags replace the current ones */
+/* Returns the opposite entry (the same parts as they are now), for the other stack */
+function applyHistoryEntry(entry){
+  const opposite = { label: entry.label, tasks: {}, lists: {} };
+  Object.keys(entry.tasks).forEach(id => {
+    const base = historyBase.tasks.get(id);
+    opposite.tasks[id] = base ? base.json : null;
+  });
+  Object.keys(entry.lists).forEach(name => { opposite.lists[name] = historyBase.lists[name] || null; });
+  if('columns' in entry) opposite.columns = historyBase.columns;
+  if('tags' in entry) opposite.tags = historyBase.tags;
+
+  const tasks = new Map(historyTasks().map(t => [t.id, t]));
+  Object.keys(entry.tasks).forEach(id => {
+    if(entry.tasks[id] === null) tasks.delete(id);
+    else tasks.set(id, JSON.parse(entry.tasks[id]));
+  });
+  const lists = { ...historyBase.lists, ...entry.lists };
+  const listTasks = name => (lists[name] || []).map(id => tasks.get(id)).filter(Boolean);
+  if('columns' in entry) columnsMeta = JSON.parse(entry.columns);
+  if('tags' in entry) tagsMeta = JSON.parse(entry.tags);
+  board = {};
+  columnsMeta.forEach(({key}) => { board[key] = listTasks(`column:${key}`); });
+  archive = listTasks('archive');
+  trash = listTasks('trash');
+  return opposite;
+}
+
+/* Record the current state before a mutation; clears the redo stack */
+/* Call this right before changing columnsMeta or board */
+function recordHistory(label){
+  settleHistory(); // changes since the last step belong to it
+  undoStack.push({ label, tasks: {}, lists: {} });
+  if(undoStack.length > HISTORY_LIMIT) undoStack.splice(0, undoStack.length - HISTORY_LIMIT);
+  redoStack = [];
+  saveHistory();
+}
+
+/* Forget the board's undo/redo history after it was changed elsewhere (another tab, the server): */
+/* its entries predate that change, so stepping back to one would silently revert it */
+function clearHistory(){
+  undoStack = [];
+  redoStack = [];
+  settleHistory(null); // the board as it is now is where the history starts
+  saveHistory();
+}
+
+/* Take tasks that left the board for good (moved to another board, deleted from the trash) out of every
+   undo/redo entry, so stepping back never brings them back; steps that changed nothing else are dropped.
+   Call it after the tasks were removed from the board */
+function forgetTasksInHistory(ids){
+  settleHistory();
+  const keep = id => !ids.includes(id);
+  // walk each stack from its top, keeping the parts as they are on the other side of each step:
+  // a part an entry would set to what it already is there is no change
+  const rebase = stack => {
+    const other = { lists: { ...historyBase.lists }, columns: historyBase.columns, tags: historyBase.tags };
+    const kept = [];
+    for(let i = stack.length - 1; i >= 0; i--){
+      const entry = stack[i];
+      ids.forEach(id => { delete entry.tasks[id]; });
+      Object.keys(entry.lists).forEach(name => {
+        const list = entry.lists[name] && entry.lists[name].filter(keep);
+        const there = other.lists[name] && other.lists[name].filter(keep);
+        if(list === null ? !there : sameIds(list, there)) delete entry.lists[name];
+        else entry.lists[name] = list;
+        other.lists[name] = list;
+      });
+      ['columns', 'tags'].forEach(part => {
+        if(!(part in entry)) return;
+        if(entry[part] === other[part]) delete entry[part];
+        else other[part] = entry[part];
+      });
+      if(Object.keys(entry.tasks).length || Object.keys(entry.lists).length || 'columns' in entry || 'tags' in entry){
+        kept.unshift(entry);
+      }
+    }
+    return kept;
+  };
+  undoStack = rebase(undoStack);
+  redoStack = rebase(redoStack);
+  saveHistory();
+}
+
+/* Key under which a board's undo/redo history is saved (each board has its own history) */
+function historyStorageKey(boardId){
+  return boardId === DEFAULT_BOARD_ID ? HISTORY_KEY : `${HISTORY_KEY}:${boardId}`;
+}
+
+/* Load the current board's persisted undo/redo stacks (empty if missing or corrupted) */
+/* Entries saved by earlier versions held whole-board snapshots; they are left out */
+function loadHistory(){
+  undoStack = [];
+  redoStack = [];
+  resetHistoryBase();
+  const isEntry = e => e && typeof e.label === 'string' && e.tasks && e.lists && typeof e.tasks === 'object' && typeof e.lists === 'object';
+  try{
+    const parsed = JSON.parse(localStorage.getItem(historyStorageKey(currentBoardId)) || 'null');
+    if(parsed && Array.isArray(parsed.undo) && Array.isArray(parsed.redo)){
+      undoStack = parsed.undo.filter(isEntry).slice(-HISTORY_LIMIT);
+      redoStack = parsed.redo.filter(isEntry).slice(-HISTORY_LIMIT);
+    }
+  }catch(e){
+    localStorage.removeItem(historyStorageKey(currentBoardId));
+  }
+}
+
+/* Persist the undo/redo stacks shortly (steps in quick succession are written once) */
+function saveHistory(){
+  if(historySaveTimer) return;
+  const boardId = currentBoardId;
+  historySaveTimer = setTimeout(()=>writeHistory(boardId), HISTORY_SAVE_DELAY);
+}
+
+/* Write a pending saveHistory now (before switching boards or leaving the page) */
+function flushHistory(){
+  if(historySaveTimer) writeHistory(currentBoardId);
+}
+
+/* Write the undo/redo stacks of the board on screen; drops the oldest steps if storage is full */
+function writeHistory(boardId){
+  clearTimeout(historySaveTimer);
+  historySaveTimer = null;
+  if(boardId !== currentBoardId) return; // switched boards without flushing: that history is gone from memory
+  settleHistory();
+  // each entry is serialized once, even when storage is full and the oldest ones have to go
+  const undo = undoStack.map(e => JSON.stringify(e));
+  const redo = redoStack.map(e => JSON.stringify(e));
+  while(true){
+    try{
+      localStorage.setItem(historyStorageKey(boardId), `{"undo":[${undo.join(',')}],"redo":[${redo.join(',')}]}`);
+      return;
+    }catch(e){
+      if(undo.length === 0 && redo.length === 0) return;
+      // Trim the oldest entries and retry (history is a convenience, never block saving tasks)
+      if(undo.length >= redo.length){
+        undo.shift();
+        undoStack.shift();
+      } else {
+        redo.shift();
+        redoStack.shift();
+      }
+    }
+  }
+}
+
+window.addEventListener('pagehide', flushHistory);
+
+/* Move one step between the stacks: apply `from`'s top entry and push the opposite entry to `to` */
+function stepHistory(from, to, verb){
+  if(from.length === 0){
+    announce(`Nothing to ${verb.toLowerCase()}.`);
+    showToast(`Nothing to ${verb.toLowerCase()}`);
+    return;
+  }
+  settleHistory(); // changes since the last step belong to the top undo entry
+  const entry = from.pop();
+  const before = new Set(allTasks().map(t => t.id));
+  to.push(applyHistoryEntry(entry));
+  // tasks brought back (e.g. an undone delete) note it in their activity log
+  allTasks().forEach(t => { if(!before.has(t.id)) logActivity(t, 'restored'); });
+  // the step brings back older copies (and older updatedAt values): stamp them as changed now,
+  // so storage rewrites them and server sync sends them instead of keeping the newer copy
+  const stamp = nowISO();
+  historyTasks().forEach(t => { if(t.id in entry.tasks) t.updatedAt = stamp; });
+  settleHistory(null); // the board now matches the history: nothing here is a new change
+  saveToStorage();
+  saveHistory();
+  render();
+  return entry;
+}
+
+/* Undo the most recent board mutation */
+function undo(){
+  const entry = stepHistory(undoStack, redoStack, 'Undo');
+  if(!entry) return;
+  showToast(`Undone: ${entry.label}`, 4000, { label: 'Redo', onClick: redo });
+  announce(`Undone: ${entry.label}.`);
+}
+
+/* Redo the most recently undone mutation */
+function redo(){
+  const entry = stepHistory(redoStack, undoStack, 'Redo');
+  if(!entry) return;
+  showToast(`Redone: ${entry.label}`, 4000, { label: 'Undo', onClick: undo });
+  announce(`Redone: ${entry.label}.`);
+}
+
+/* Toast for a recorded mutation, with an Undo action */
+function showUndoToast(msg){
+  showToast(msg, 5000, { label: 'Undo', onClick: undo });
+}
+
+/* ========== NOTIFICATION FUNCTIONS ========== */
+
+/* Show toast notification for user feedback */
+/* Automatically hides after specified duration (default: 1400ms) */
+/* Optional action { label, onClick } adds a button (e.g. "Undo") inside the toast */
+let toastTimer = null;
+function showToast(msg, duration=1400, action=null){
+  toast.textContent = msg;              // Set notification text
+  if(action){
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'toast-action';
+    btn.textContent = action.label;
+    btn.addEventListener('click', ()=>{
+      hideToast();
+      action.onClick();
+    });
+    toast.appendChild(btn);
+  }
+  toast.style.display = 'block';        // Show the toast
+  if(toastTimer) clearTimeout(toastTimer); // Clear previous timer
+  
+  // Auto-hide after duration
+  toastTimer = setTimeout(hideToast, duration);
+}
+
+/* Hide the toast immediately */
+function hideToast(){
+  if(toastTimer) clearTimeout(toastTimer);
+  toastTimer = null;
+  toast.style.display = 'none';
+}
+
+/* Announce message to screen reader users via aria-live region */
+/* Provides audio feedback for accessibility */
+function announce(msg){
+  announcer.textContent = msg;
+}
+
+/* ========== SECTION 2: RENDERING ========== */
+
+/* Look up a column definition by key */
+function getColumnMeta(key){
+  return columnsMeta.find(c => c.key === key) || null;
+}
+
+/* Display name for a column key (falls back to the key itself) */
+function getColumnTitle(key){
+  const meta = getColumnMeta(key);
+  return meta ? meta.title : key;
+}
+
+/* Fill the quick-add, modal and bulk-move column dropdowns from columnsMeta, keeping the current selection */
+function renderColumnOptions(){
+  [columnSelectInline, taskColumnSelect, bulkColumnSelect].forEach(select => {
+    const current = select.value;
+    select.innerHTML = '';
+    columnsMeta.forEach(({key,title}) => {
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = title;
+      select.appendChild(opt);
+    });
+    select.value = getColumnMeta(current) ? current : columnsMeta[0].key;
+  });
+}
+
+/* Create a small text button used in the column header toolbar */
+function makeColumnTool(label, ariaLabel, onClick, disabled){
+  const btn = document.createElement('button');
+  btn.className = 'icon-btn col-tool';
+  btn.textContent = label;
+  btn.title = ariaLabel;
+  btn.setAttribute('aria-label', ariaLabel);
+  btn.disabled = !!disabled;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+/* Create a single column element with header, task list, and drag-drop listeners */
+function createColumnEl(colKey, colTitle){
+  // Create section element for the column
+  const col = document.createElement('section');
+  col.className = 'column';
+  col.dataset.column = colKey; // Store column key for identification
+  col.setAttribute('aria-label', colTitle);
+  col.setAttribute('role','region');
+
+  // Create column header with title, column tools and add button
+  // Built with textContent since column titles are user-provided
+  const header = document.createElement('div');
+  header.className = 'col-title';
+  const name = document.createElement('span');
+  name.className = 'col-name';
+  name.textContent = colTitle;
+  header.appendChild(name);
+  // Task count ("5", or "2 of 5" while a search is active); filled in by render()
+  const count = document.createElement('span');
+  count.className = 'col-count';
+  header.appendChild(count);
+
+  // Sort order of the column's cards (manual = drag order)
+  const sortSelect = document.createElement('select');
+  sortSelect.className = 'col-sort';
+  sortSelect.title = `Sort ${colTitle}`;
+  sortSelect.setAttribute('aria-label', `Sort column ${colTitle}`);
+  Object.keys(COLUMN_SORTS).forEach(mode => {
+    const opt = document.createElement('option');
+    opt.value = mode;
+    opt.textContent = COLUMN_SORTS[mode].label;
+    sortSelect.appendChild(opt);
+  });
+  sortSelect.value = getColumnMeta(colKey).sort || 'manual';
+  sortSelect.addEventListener('change', ()=>setColumnSort(colKey, sortSelect.value));
+  header.appendChild(sortSelect);
+
+  const tools = document.createElement('div');
+  tools.className = 'col-tools';
+  const position = columnsMeta.findIndex(c => c.key === colKey);
+  tools.appendChild(makeColumnTool('‹', `Move column ${colTitle} left`, ()=>moveColumn(colKey, -1), position === 0));
+  tools.appendChild(makeColumnTool('›', `Move column ${colTitle} right`, ()=>moveColumn(colKey, 1), position === columnsMeta.length - 1));
+  tools.appendChild(makeColumnTool('✎', `Rename column ${colTitle}`, ()=>renameColumn(colKey)));
+  tools.appendChild(makeColumnTool('≤', `Set WIP limit for ${colTitle}`, ()=>setColumnLimit(colKey)));
+  tools.appendChild(makeColumnTool('×', `Delete column ${colTitle}`, ()=>deleteColumn(colKey), columnsMeta.length === 1));
+
+  // Attach click listener to add button
+  const addBtn = document.createElement('button');
+  addBtn.className = 'secondary';
+  addBtn.textContent = '＋';
+  addBtn.title = `Add to ${colTitle}`;
+  addBtn.setAttribute('aria-label', `Add task to ${colTitle}`);
+  addBtn.addEventListener('click', ()=>openModalForCreate(colKey));
+  tools.appendChild(addBtn);
+  header.appendChild(tools);
+  col.appendChild(header);
+
+  // Create task list container (where task cards go)
+  const taskList = document.createElement('div');
+  taskList.className = 'task-list';
+  taskList.dataset.column = colKey;
+  taskList.setAttribute('aria-live','polite'); // Announce changes to screen readers
+  taskList.setAttribute('role','list');
+  col.appendChild(taskList);
+
+  // No per-column drag listeners: the pointer drag engine hit-tests .task-list elements
+
+  return col;
+}
+
+/* --- Incremental rendering --- */
+/* render() patches the board instead of rebuilding it. Column elements are kept per column key and
+   card elements per task id, each with a signature of what it shows; an element is only rebuilt when
+   its signature changes (a card: the task fields it shows, the search text, the tag filter (its chips show
+   whether they are pressed), the tag palette, whether it is in the last column). Unchanged elements are moved into place, so listeners, focus and scroll positions survive.
+   A column showing more than VIRTUAL_MIN_CARDS cards only keeps the cards around its scroll position
+   in the page, with spacers standing in for the rest, so huge columns stay quick to draw and drag over. */
+
+const VIRTUAL_MIN_CARDS = 150;   // cards shown in a column before it is virtualized
+const VIRTUAL_OVERSCAN = 20;     // cards kept in the page above and below the visible part
+const VIRTUAL_ROW_ESTIMATE = 84; // px per card (gap included) until a card has been measured
+const LIST_GAP = 12;             // px between cards (.task-list gap)
+
+/* Column views by column key: { key, sig, el, list, count, empty, topSpacer, bottomSpacer,
+   visible (tasks shown, in order), context, rowHeight, range: [start, end], frame } */
+const columnViews = new Map();
+
+/* Card views by task id: { sig, el } */
+const cardViews = new Map();
+
+/* What a card shows of its task, as a string: updatedAt plus the fields drawn on the card (not the whole
+   task: its activity log only grows, and serializing it on every render would cost more than the card) */
+function cardSignature(task){
+  const items = task.checklist || [];
+  return JSON.stringify([task.updatedAt, task.column, task.title, task.description, task.priority, task.due,
+    task.recurrence, task.tags, items.length, openChecklistCount(task)]);
+}
+
+/* Card element for a task: the cached one, or a new one if anything it shows has changed */
+/* context: the part of the signature shared by every card (search text, tag filter and tag palette) */
+function cardElementFor(task, context){
+  const sig = `${context}\n${isFinalColumn(task.column)}\n${cardSignature(task)}`;
+  const view = cardViews.get(task.id);
+  if(view && view.sig === sig) return view.el;
+  const el = createTaskCard(task);
+  cardViews.set(task.id, { sig, el });
+  return el;
+}
+
+/* Column view for a column definition, rebuilt when its header would look different */
+function columnViewFor(meta, index){
+  const sig = JSON.stringify([currentBoardId, meta, index, columnsMeta.length]);
+  const old = columnViews.get(meta.key);
+  if(old && old.sig === sig) return old;
+  const el = createColumnEl(meta.key, meta.title);
+  const view = {
+    key: meta.key,
+    sig,
+    el,
+    list: el.querySelector('.task-list'),
+    count: el.querySelector('.col-count'),
+    empty: document.createElement('div'),
+    topSpacer: document.createElement('div'),
+    bottomSpacer: document.createElement('div'),
+    visible: [],
+    context: '',
+    rowHeight: old ? old.rowHeight : 0,
+    range: [0, 0],
+    frame: null
+  };
+  view.empty.className = 'col-empty';
+  view.topSpacer.className = 'virtual-spacer top';
+  view.bottomSpacer.className = 'virtual-spacer bottom';
+  [view.topSpacer, view.bottomSpacer].forEach(s => s.setAttribute('aria-hidden', 'true'));
+  view.list.addEventListener('scroll', ()=>scheduleColumnWindow(view));
+  if(old){
+    // same list, new header (renamed, re-sorted, moved...): keep the scroll position
+    view.list.scrollTop = old.list.scrollTop;
+    old.el.replaceWith(el);
+  }
+  columnViews.set(meta.key, view);
+  return view;
+}
+
+/* Range [start, end) of view.visible to keep in the page; the focused card is kept in it */
+/* The visible part is where the list is scrolled to, or (narrow screens, where lists don't scroll
+   and the page does) the part of the list inside the viewport */
+function columnWindow(view, focusedId){
+  const total = view.visible.length;
+  if(total <= VIRTUAL_MIN_CARDS) return [0, total];
+  const { list } = view;
+  const row = view.rowHeight || VIRTUAL_ROW_ESTIMATE;
+  const height = Math.min(list.clientHeight || window.innerHeight, window.innerHeight);
+  let offset = list.scrollTop + Math.max(0, -list.getBoundingClientRect().top);
+  const focusedIndex = focusedId ? view.visible.findIndex(t => t.id === focusedId) : -1;
+  if(focusedIndex !== -1 && (focusedIndex * row < offset || (focusedIndex + 1) * row > offset + height)){
+    // centre on the focused card (focusing it scrolls the page there when the list doesn't scroll)
+    offset = Math.max(0, focusedIndex * row - height / 2);
+    list.scrollTop = offset;
+  }
+  const first = Math.floor(offset / row);
+  const start = Math.max(0, first - VIRTUAL_OVERSCAN);
+  const end = Math.min(total, first + Math.ceil(height / row) + VIRTUAL_OVERSCAN);
+  return [start, end];
+}
+
+/* Make parent's element children exactly `nodes`, in order, moving as few elements as possible */
+function patchChildren(parent, nodes){
+  const wanted = new Set(nodes);
+  Array.from(parent.children).forEach(child => {
+    if(!wanted.has(child)) child.remove();
+  });
+  nodes.forEach((node, i) => {
+    const current = parent.children[i];
+    if(current === node) return;
+    // a single element that moved down: take it out, it is put back when its turn comes
+    if(current && current.nextElementSibling === node) current.remove();
+    else parent.insertBefore(node, current || null);
+  });
+}
+
+/* Put the cards of view.visible (or the window of them) into the column's list */
+function patchColumnList(view, focusedId){
+  const { list, visible } = view;
+  if(visible.length === 0){
+    view.empty.style.display = '';
+    view.range = [0, 0];
+    patchChildren(list, [view.empty]);
+    return;
+  }
+  const [start, end] = view.range = columnWindow(view, focusedId);
+  const row = view.rowHeight || VIRTUAL_ROW_ESTIMATE;
+  const nodes = visible.slice(start, end).map(task => cardElementFor(task, view.context));
+  if(start > 0){
+    view.topSpacer.style.height = `${start * row - LIST_GAP}px`;
+    nodes.unshift(view.topSpacer);
+  }
+  if(end < visible.length){
+    view.bottomSpacer.style.height = `${(visible.length - end) * row - LIST_GAP}px`;
+    nodes.push(view.bottomSpacer);
+  }
+  patchChildren(list, nodes);
+  if(start > 0 || end < visible.length){
+    // measure a real card once it is laid out (height plus the list's gap)
+    const measured = nodes.find(n => n.classList.contains('task-card')).offsetHeight;
+    if(measured) view.rowHeight = measured + LIST_GAP;
+  }
+}
+
+/* Update a virtualized column's cards on the next frame (scroll events come faster than frames) */
+function scheduleColumnWindow(view){
+  if(view.frame || view.visible.length <= VIRTUAL_MIN_CARDS) return;
+  view.frame = requestAnimationFrame(()=>{
+    view.frame = null;
+    updateColumnWindow(view);
+  });
+}
+
+/* Scrolling a virtualized column: swap in the cards that came into view */
+function updateColumnWindow(view){
+  if(!view.el.isConnected) return;
+  // a card held with the keyboard has focus: it stays in the page (see showGrabbedCard)
+  const held = keyboardGrab && keyboardGrab.to === view.key ? grabbedCardEl() : null;
+  const heldId = held ? keyboardGrab.id : null;
+  const [start, end] = columnWindow(view, heldId);
+  if(start === view.range[0] && end === view.range[1]) return;
+  const hadPlaceholder = placeholderEl && placeholderEl.parentElement === view.list;
+  if(held) keyboardGrab.moving = true;
+  patchColumnList(view, heldId);
+  if(held){
+    if(document.activeElement !== held) held.focus();
+    keyboardGrab.moving = false;
+  }
+  refreshSelectionUI();
+  // the drag placeholder was swept out with the old cards: put it back under the pointer
+  if(hadPlaceholder) updatePlaceholder(view.list, lastPointer.y);
+}
+
+// narrow screens scroll the page rather than the lists
+window.addEventListener('scroll', ()=>columnViews.forEach(scheduleColumnWindow), { passive: true });
+
+/* Drop cached card elements of tasks that are no longer shown (cards scrolled out of a
+   virtualized column stay cached, so scrolling back does not rebuild them) */
+function forgetHiddenCards(views){
+  const shown = new Set();
+  views.forEach(view => view.visible.forEach(task => shown.add(task.id)));
+  cardViews.forEach((view, id) => {
+    if(!shown.has(id)) cardViews.delete(id);
+  });
+}
+
+/* Bring the page in line with the data (see Incremental rendering) */
+/* A focused card keeps focus; a card held with the keyboard goes back to its place (its move was not saved yet) */
+function render(){
+  const focused = document.activeElement;
+  const focusedId = focused && focused.classList.contains('task-card') && boardEl.contains(focused) ? focused.dataset.id : null;
+  if(keyboardGrab){
+    const card = grabbedCardEl();
+    keyboardGrab = null;
+    if(card) clearGrabMarks(card);
+  }
+  boardEl.style.setProperty('--column-count', columnsMeta.length);
+  renderColumnOptions();
+  renderBoardOptions();
+  const filtering = isFilterActive();
+  const context = JSON.stringify([searchQuery, activeTagFilter, tagsMeta]);
+  const views = columnsMeta.map((meta, index) => {
+    const { key, sort, limit } = meta;
+    const view = columnViewFor(meta, index);
+    const tasks = board[key] || [];
+    const shown = sortTasksForView(tasks, sort);
+    view.visible = filtering ? shown.filter(taskMatchesFilter) : shown;
+    view.context = context;
+
+    const col = view.el;
+    const visible = view.visible;
+    const count = view.count;
+    count.textContent = (filtering ? `${visible.length} of ${tasks.length}` : String(tasks.length)) + (limit ? ` / ${limit}` : '');
+    count.setAttribute('aria-label', (filtering
+      ? `${visible.length} of ${tasks.length} tasks match`
+      : `${tasks.length} tasks`) + (limit ? `, WIP limit ${limit}` : ''));
+    count.title = limit ? `WIP limit: ${limit}` : '';
+    col.classList.toggle('at-limit', !!limit && tasks.length === limit);
+    col.classList.toggle('over-limit', !!limit && tasks.length > limit);
+    col.classList.remove('drop-highlight', 'wip-blocked');
+    view.empty.textContent = filtering && tasks.length
+      ? 'No matching tasks.'
+      : 'No tasks — add one using the “Add Task” button.';
+    return view;
+  });
+  patchChildren(boardEl, views.map(v => v.el));
+  columnViews.forEach((view, key) => {
+    if(!getColumnMeta(key)) columnViews.delete(key);
+  });
+  views.forEach(view => patchColumnList(view, focusedId));
+  forgetHiddenCards(views);
+  refreshSelectionUI();
+  renderShelfIndicators();
+  // a focused card that was rebuilt or moved in the page loses focus: give it back
+  if(focusedId && document.activeElement !== focused){
+    const card = boardEl.querySelector(`.task-card[data-id="${focusedId}"]`);
+    if(card) card.focus();
+  }
+}
+
+/* Screen reader label of a card: title, due text, description and selection state */
+function cardAriaLabel(task, selected){
+  const dueText = task.due ? relativeDueText(task.due) + '. ' : '';
+  const repeatText = task.recurrence ? `Repeats: ${describeRecurrence(task.recurrence).toLowerCase()}. ` : '';
+  const priorityText = isPriority(task.priority) ? `Priority ${priorityLabel(task.priority)}. ` : '';
+  return `${task.title}. ${priorityText}${dueText}${repeatText}${task.description || ''}${selected ? ' (selected)' : ''}`;
+}
+
+/* create single task card element */
+function createTaskCard(task){
+  const card = document.createElement('div');
+  card.className = 'task-card';
+  card.dataset.id = task.id;
+  card.dataset.column = task.column;
+  card.tabIndex = 0;
+  card.setAttribute('role','listitem');
+  card.setAttribute('aria-grabbed','false');
+  card.setAttribute('aria-label', cardAriaLabel(task, false));
+
+  // drag handle
+  const handleBtn = document.createElement('button');
+  handleBtn.className = 'drag-handle';
+  handleBtn.title = "Drag";
+  handleBtn.setAttribute('aria-hidden', 'true');
+  handleBtn.innerHTML = svgBars();
+  card.appendChild(handleBtn);
+
+  // body
+  const body = document.createElement('div');
+  body.className = 'task-body';
+  const t = document.createElement('div');
+  t.className = 'task-title';
+  appendHighlighted(t, task.title, searchQuery);
+  if(isPriority(task.priority)) t.prepend(createPriorityBadge(task.priority));
+  // description preview: rendered Markdown cut to a few lines (the edit dialog shows all of it)
+  const d = document.createElement('div');
+  d.className = 'task-desc markdown';
+  renderMarkdown(d, task.description || '', searchQuery);
+  d.querySelectorAll('a').forEach(a => { a.tabIndex = -1; }); // Tab goes card to card
+
+  body.appendChild(t);
+  if(task.due){
+    const due = document.createElement('div');
+    due.className = 'task-due';
+    body.appendChild(due);
+  }
+  if(task.recurrence){
+    const repeat = document.createElement('div');
+    repeat.className = 'task-repeat';
+    repeat.textContent = `↻ ${describeRecurrence(task.recurrence)}`;
+    body.appendChild(repeat);
+  }
+  const progress = createChecklistProgress(task);
+  if(progress) body.appendChild(progress);
+  const chips = createTagChips(task);
+  if(chips) body.appendChild(chips);
+  body.appendChild(d);
+  card.appendChild(body);
+  if(task.due) applyDueState(card, task);
+
+  // actions
+  const actions = document.createElement('div');
+  actions.className = 'task-actions';
+  const editBtn = document.createElement('button');
+  editBtn.className = 'icon-btn';
+  editBtn.title = 'Edit';
+  editBtn.setAttribute('aria-label', `Edit task: ${task.title}`);
+  editBtn.innerHTML = svgPencil();
+  editBtn.addEventListener('click', (e)=>{
+    e.stopPropagation();
+    openModalForEdit(task.id);
+  });
+  const delBtn = document.createElement('button');
+  delBtn.className = 'icon-btn';
+  delBtn.title = 'Delete';
+  delBtn.setAttribute('aria-label', `Delete task: ${task.title}`);
+  delBtn.innerHTML = svgTrash();
+  delBtn.addEventListener('click', (e)=>{
+    e.stopPropagation();
+    deleteTaskWithConfirm(task.id);
+  });
+  actions.appendChild(editBtn);
+  if(isFinalColumn(task.column)){
+    // finished cards can be archived
+    const archiveBtn = document.createElement('button');
+    archiveBtn.className = 'icon-btn';
+    archiveBtn.title = 'Archive';
+    archiveBtn.setAttribute('aria-label', `Archive task: ${task.title}`);
+    archiveBtn.innerHTML = svgArchive();
+    archiveBtn.addEventListener('click', (e)=>{
+      e.stopPropagation();
+      archiveTask(task.id);
+    });
+    actions.appendChild(archiveBtn);
+  }
+  actions.appendChild(delBtn);
+  card.appendChild(actions);
+
+  /* drag events (pointer events cover mouse, touch and pen) */
+  card.addEventListener('pointerdown', handleCardPointerDown);
+  card.addEventListener('contextmenu', (e)=>{
+    // long-press on touch screens would otherwise open the context menu
+    if(pressState || draggingEl) e.preventDefault();
+  });
+  card.addEventListener('keydown', handleCardKeydown);
+  card.addEventListener('blur', handleCardBlur);
+  card.addEventListener('click', handleCardClick);
+
+  return card;
+}
+
+/* --- Drag & Drop Implementation (pointer events) --- */
+/* One engine for mouse, touch and pen:
+   - mouse/pen: press and move a few pixels to pick a card up
+   - touch: long-press the card (or press the drag handle) to pick it up; a quick swipe still scrolls
+   - a floating preview follows the pointer, a .placeholder marks the insertion point
+   - the page and long columns auto-scroll when the pointer nears their edges
+   - Escape (or releasing outside a column) cancels */
+
+const DRAG_THRESHOLD = 6;      // px a mouse/pen press must move before it becomes a drag
+const TOUCH_SLOP = 10;         // px a finger may wander during a long-press
+const LONG_PRESS_MS = 350;     // touch hold time before a card is picked up
+const AUTO_SCROLL_EDGE = 48;   // px from an edge where auto-scroll starts
+const AUTO_SCROLL_SPEED = 16;  // max px scrolled per animation frame
+
+/* state used during drag */
+let draggingEl = null;     // card being dragged (hidden; the placeholder takes its place)
+let draggingId = null;
+let draggingIds = [];      // every task moving with this drag (the whole selection when a selected card is dragged)
+let sourceColumn = null;
+let placeholderEl = null;
+let previewEl = null;      // floating copy of the card that follows the pointer
+let overListEl = null;     // task list currently under the pointer
+let pressState = null;     // pending press before a drag starts
+let lastPointer = { x: 0, y: 0 };
+let autoScrollFrame = null;
+
+/* utility: find index in children for an element */
+function indexWithin(listEl, childEl) {
+  return Array.prototype.indexOf.call(listEl.children, childEl);
+}
+
+/* create placeholder */
+function makePlaceholder(height){
+  const p = document.createElement('div');
+  p.className = 'placeholder';
+  if(height) p.style.height = height + 'px';
+  return p;
+}
+
+/* pointerdown on a card: remember the press; the drag starts after movement or a long-press */
+function handleCardPointerDown(e){
+  if(draggingEl || pressState) return;
+  if(e.pointerType === 'mouse' && e.button !== 0) return;
+  if(e.target.closest('.task-actions, a')) return; // edit/delete buttons and description links keep working normally
+  if(keyboardGrab) cancelKeyboardGrab();
+
+  const card = e.currentTarget;
+  const rect = card.getBoundingClientRect();
+  const fromHandle = !!e.target.closest('.drag-handle');
+  pressState = {
+    pointerId: e.pointerId,
+    pointerType: e.pointerType,
+    card,
+    startX: e.clientX,
+    startY: e.clientY,
+    offsetX: e.clientX - rect.left,
+    offsetY: e.clientY - rect.top,
+    timer: null
+  };
+  lastPointer = { x: e.clientX, y: e.clientY };
+
+  if(e.pointerType === 'touch'){
+    if(fromHandle){
+      // the handle has touch-action:none, so it can start right away
+      startDrag();
+    } else {
+      pressState.timer = setTimeout(startDrag, LONG_PRESS_MS);
+    }
+  }
+
+  document.addEventListener('pointermove', handlePointerMove);
+  document.addEventListener('pointerup', handlePointerUp);
+  document.addEventListener('pointercancel', handlePointerCancel);
+}
+
+/* pointermove: promote a press to a drag, or move the active drag */
+function handlePointerMove(e){
+  if(!pressState || e.pointerId !== pressState.pointerId) return;
+  lastPointer = { x: e.clientX, y: e.clientY };
+
+  if(!draggingEl){
+    const distance = Math.hypot(e.clientX - pressState.startX, e.clientY - pressState.startY);
+    if(pressState.pointerType === 'touch'){
+      // finger moved before the long-press fired: treat it as a scroll
+      if(distance > TOUCH_SLOP) endPress();
+      return;
+    }
+    if(distance < DRAG_THRESHOLD) return;
+    startDrag();
+  }
+
+  e.preventDefault();
+  moveDrag(e.clientX, e.clientY);
+}
+
+/* pointerup: drop if dragging, otherwise it was just a click/tap */
+function handlePointerUp(e){
+  if(!pressState || e.pointerId !== pressState.pointerId) return;
+  if(draggingEl) finishDrag(true);
+  else endPress();
+}
+
+/* pointercancel (e.g. the browser took over the gesture): abandon the drag */
+function handlePointerCancel(e){
+  if(!pressState || e.pointerId !== pressState.pointerId) return;
+  if(draggingEl) finishDrag(false);
+  else endPress();
+}
+
+/* keep touch drags from scrolling the page (must be a non-passive listener) */
+document.addEventListener('touchmove', (e)=>{
+  if(draggingEl) e.preventDefault();
+}, { passive: false });
+
+/* forget a pending press and detach document listeners */
+function endPress(){
+  if(pressState && pressState.timer) clearTimeout(pressState.timer);
+  pressState = null;
+  document.removeEventListener('pointermove', handlePointerMove);
+  document.removeEventListener('pointerup', handlePointerUp);
+  document.removeEventListener('pointercancel', handlePointerCancel);
+  if(!draggingEl) applyDeferredSync(); // changes from another tab wait until the press or drag is over
+}
+
+/* pick the pressed card up: show the floating preview and leave a placeholder in its slot */
+function startDrag(){
+  if(!pressState || draggingEl) return;
+  const card = pressState.card;
+  pressState.timer = null;
+  const rect = card.getBoundingClientRect();
+
+  draggingEl = card;
+  draggingId = card.dataset.id;
+  sourceColumn = card.dataset.column;
+  // dragging a selected card carries the whole selection along
+  draggingIds = selectedIds.has(draggingId) && selectedIds.size > 1 ? orderedSelection() : [draggingId];
+
+  previewEl = card.cloneNode(true);
+  previewEl.classList.add('drag-preview');
+  if(draggingIds.length > 1) previewEl.dataset.count = draggingIds.length;
+  previewEl.removeAttribute('tabindex');
+  previewEl.setAttribute('aria-hidden','true');
+  previewEl.style.width = rect.width + 'px';
+  document.body.appendChild(previewEl);
+
+  placeholderEl = makePlaceholder(rect.height);
+  card.parentElement.insertBefore(placeholderEl, card);
+  overListEl = card.parentElement;
+  overListEl.closest('.column').classList.add('drop-highlight');
+
+  draggingIds.forEach(id => {
+    const el = boardEl.querySelector(`.task-card[data-id="${id}"]`);
+    if(!el) return;
+    el.classList.add('dragging');
+    el.setAttribute('aria-grabbed','true');
+  });
+  document.body.classList.add('is-dragging');
+  if(navigator.vibrate && pressState.pointerType === 'touch') navigator.vibrate(15);
+
+  positionPreview(lastPointer.x, lastPointer.y);
+  autoScrollFrame = requestAnimationFrame(autoScrollStep);
+  announce(draggingIds.length > 1
+    ? `Moving ${draggingIds.length} tasks — select drop target`
+    : `Moving task "${getTaskById(draggingId).title}" — select drop target`);
+}
+
+/* place the floating preview under the pointer, keeping the grab offset */
+function positionPreview(x, y){
+  previewEl.style.transform = `translate(${x - pressState.offsetX}px, ${y - pressState.offsetY}px)`;
+}
+
+/* task list under a viewport point (the preview ignores pointer events, so it never hides the target) */
+function listAtPoint(x, y){
+  const el = document.elementFromPoint(x, y);
+  if(!el) return null;
+  const list = el.closest('.task-list');
+  if(list) return list;
+  const column = el.closest('.column');
+  return column ? column.querySelector('.task-list') : null;
+}
+
+/* move the preview and the placeholder to follow the pointer */
+function moveDrag(x, y){
+  positionPreview(x, y);
+  const list = listAtPoint(x, y);
+
+  if(list !== overListEl){
+    if(overListEl){
+      overListEl.closest('.column').classList.remove('drop-highlight', 'wip-blocked');
+      removePlaceholder();
+    }
+    overListEl = list;
+    if(list){
+      // columns that cannot take the dragged cards are marked instead of highlighted
+      const full = incomingCount(draggingIds.map(getTaskById), list.dataset.column) > wipRoom(list.dataset.column);
+      list.closest('.column').classList.add(full ? 'wip-blocked' : 'drop-highlight');
+      const meta = getColumnMeta(list.dataset.column);
+      if(meta.sort && !full) announce(`${meta.title} is sorted by ${COLUMN_SORTS[meta.sort].label.toLowerCase()}; dropped cards take their sorted place.`);
+    }
+  }
+  if(list) updatePlaceholder(list, y);
+}
+
+/* insert the placeholder before the first card whose midpoint is below clientY */
+/* only touches the DOM when the insertion point actually changes */
+function updatePlaceholder(listEl, clientY){
+  let before = null;
+  if(getColumnMeta(listEl.dataset.column).sort){
+    // the pointer's position doesn't matter in a sorted column (see sortedDropIndex)
+    if(placeholderEl && placeholderEl.parentElement === listEl) return;
+    before = sortedNeighbourCard(listEl.dataset.column, draggingIds);
+  } else {
+    const cards = Array.from(listEl.querySelectorAll('.task-card:not(.dragging)'));
+    for(const card of cards){
+      const rect = card.getBoundingClientRect();
+      if(clientY < rect.top + rect.height / 2){
+        before = card;
+        break;
+      }
+    }
+  }
+
+  if(placeholderEl && placeholderEl.parentElement === listEl){
+    // skip the hidden source card when comparing positions
+    let next = placeholderEl.nextElementSibling;
+    while(next && !next.matches('.task-card:not(.dragging)')) next = next.nextElementSibling;
+    if(next === before) return;
+  }
+
+  removePlaceholder();
+  const emptyMsg = listEl.querySelector('.col-empty');
+  if(emptyMsg) emptyMsg.style.display = 'none'; // hide empty message while the placeholder is shown
+  placeholderEl = placeholderEl || makePlaceholder(draggingEl.getBoundingClientRect().height || 54);
+  // below the last card shown: above the spacer of a virtualized column's remaining cards
+  listEl.insertBefore(placeholderEl, before || listEl.querySelector('.virtual-spacer.bottom'));
+}
+
+/* take the placeholder out of its list (restoring that list's empty message) */
+function removePlaceholder(){
+  if(!placeholderEl || !placeholderEl.parentElement) return;
+  const list = placeholderEl.parentElement;
+  list.removeChild(placeholderEl);
+  const emptyMsg = list.querySelector('.col-empty');
+  if(emptyMsg) emptyMsg.style.display = '';
+}
+
+/* index in the target column's task array where the placeholder sits */
+function dropIndexFromPlaceholder(listEl){
+  return dropIndexBefore(listEl, placeholderEl, draggingIds);
+}
+
+/* index in a column's task array matching where markerEl (placeholder or keyboard-held card) sits in its list */
+/* The list may show only some of the column's tasks (search), so the index is taken from the
+   real array: just before the next visible card, else just after the previous one */
+/* The moving tasks are left out, matching how moveTaskTo/moveTasksTo remove them first */
+/* A sorted column ignores where the marker sits (see sortedDropIndex) */
+function dropIndexBefore(listEl, markerEl, movingIds){
+  if(getColumnMeta(listEl.dataset.column).sort) return sortedDropIndex(listEl.dataset.column, movingIds);
+  const remaining = (board[listEl.dataset.column] || []).filter(t => !movingIds.includes(t.id));
+  const isCard = el => el && el.matches('.task-card:not(.dragging)') && !movingIds.includes(el.dataset.id);
+
+  let next = markerEl.nextElementSibling;
+  while(next && !isCard(next)) next = next.nextElementSibling;
+  if(next){
+    const idx = remaining.findIndex(t => t.id === next.dataset.id);
+    if(idx !== -1) return idx;
+  }
+  let prev = markerEl.previousElementSibling;
+  while(prev && !isCard(prev)) prev = prev.previousElementSibling;
+  if(prev){
+    const idx = remaining.findIndex(t => t.id === prev.dataset.id);
+    if(idx !== -1) return idx + 1;
+  }
+  return remaining.length;
+}
+
+/* scroll the page and the list under the pointer while the pointer is near their edges */
+function autoScrollStep(){
+  if(!draggingEl) return;
+  const {x, y} = lastPointer;
+  const speed = distance => Math.ceil(AUTO_SCROLL_SPEED * (1 - Math.max(0, distance) / AUTO_SCROLL_EDGE));
+  let scrolled = false;
+
+  if(y < AUTO_SCROLL_EDGE){
+    window.scrollBy(0, -speed(y));
+    scrolled = true;
+  } else if(y > window.innerHeight - AUTO_SCROLL_EDGE){
+    window.scrollBy(0, speed(window.innerHeight - y));
+    scrolled = true;
+  }
+
+  if(overListEl && overListEl.scrollHeight > overListEl.clientHeight){
+    const rect = overListEl.getBoundingClientRect();
+    if(y < rect.top + AUTO_SCROLL_EDGE && overListEl.scrollTop > 0){
+      overListEl.scrollTop -= speed(y - rect.top);
+      scrolled = true;
+    } else if(y > rect.bottom - AUTO_SCROLL_EDGE){
+      overListEl.scrollTop += speed(rect.bottom - y);
+      scrolled = true;
+    }
+  }
+
+  // content moved under a still pointer: re-evaluate the drop position
+  if(scrolled) moveDrag(x, y);
+  autoScrollFrame = requestAnimationFrame(autoScrollStep);
+}
+
+/* drop (commit=true) or cancel the active drag, then re-render */
+function finishDrag(commit){
+  if(autoScrollFrame) cancelAnimationFrame(autoScrollFrame);
+  autoScrollFrame = null;
+
+  let moved = false;
+  const dropping = commit && overListEl && placeholderEl && placeholderEl.parentElement === overListEl;
+  const dropColumn = dropping ? overListEl.dataset.column : null;
+  const draggedTasks = draggingIds.map(getTaskById);
+  // a drop that would exceed the column's WIP limit is refused (and explained)
+  const refused = dropping && !checkWipLimit(dropColumn, incomingCount(draggedTasks, dropColumn));
+  // dropping cards with open checklist items into the last column may need confirmation
+  if(dropping && !refused && confirmOpenChecklists(draggedTasks, dropColumn)){
+    const toColumn = dropColumn;
+    const newIndex = dropIndexFromPlaceholder(overListEl);
+    // perform move in data model (only if column changed or position changed)
+    const taskInSourceCol = board[sourceColumn]?.findIndex(t => t.id === draggingId) ?? -1;
+    if(draggingIds.length > 1){
+      recordHistory(`move ${draggingIds.length} tasks`);
+      moveTasksTo(draggingIds, toColumn, newIndex);
+      showUndoToast(`${draggingIds.length} tasks moved to ${getColumnTitle(toColumn)}`);
+      moved = true;
+    } else if(sourceColumn !== toColumn || taskInSourceCol !== newIndex){
+      const task = getTaskById(draggingId);
+      recordHistory(`move "${task.title}"`);
+      moveTaskTo(draggingId, sourceColumn, toColumn, newIndex);
+      showUndoToast(`Moved to ${getColumnTitle(toColumn)}`);
+      moved = true;
+    }
+  }
+
+  // cleanup
+  removePlaceholder();
+  if(previewEl) previewEl.remove();
+  document.querySelectorAll('.column.drop-highlight, .column.wip-blocked').forEach(col => col.classList.remove('drop-highlight', 'wip-blocked'));
+  document.body.classList.remove('is-dragging');
+  // card elements are reused by render(), so they lose their drag marks here
+  draggingIds.forEach(id => {
+    const view = cardViews.get(id);
+    if(!view) return;
+    view.el.classList.remove('dragging');
+    view.el.setAttribute('aria-grabbed','false');
+  });
+  placeholderEl = null;
+  previewEl = null;
+  overListEl = null;
+  draggingEl = null;
+  draggingId = null;
+  sourceColumn = null;
+  endPress();
+
+  const count = draggingIds.length;
+  draggingIds = [];
+  suppressClickUntil = Date.now() + 300; // the click that follows pointerup is not a selection click
+
+  if(moved && count > 1) announce(`${count} tasks moved.`);
+  else if(moved) announceOnDrop();
+  else if(!refused) announce(commit ? 'Drag ended.' : 'Drag cancelled.');
+  render();
+}
+
+/* announce after drop */
+function announceOnDrop(){
+  announce('Task moved.');
+}
+
+/* move task in model */
+function moveTaskTo(id, fromCol, toCol, toIndex){
+  if(!id) return;
+  if(!board[fromCol]) return;
+  // find and remove
+  const fromArr = board[fromCol];
+  const idx = fromArr.findIndex(t=>t.id===id);
+  if(idx === -1) return;
+  const [task] = fromArr.splice(idx,1);
+  logColumnChange(task, toCol);
+  task.column = toCol;
+  task.updatedAt = nowISO();
+  // insert into toCol array at index
+  board[toCol] = board[toCol] || [];
+  if(toIndex < 0) toIndex = 0;
+  if(toIndex >= board[toCol].length) board[toCol].push(task);
+  else board[toCol].splice(toIndex,0,task);
+  if(fromCol !== toCol && isFinalColumn(toCol)) repeatFinishedTasks([task]);
+  saveToStorage();
+}
+
+/* move several tasks to one column as a block at toIndex, keeping their board order */
+/* toIndex counts only tasks that are not being moved */
+function moveTasksTo(ids, toCol, toIndex){
+  const moving = [];
+  columnsMeta.forEach(({key}) => {
+    board[key] = (board[key] || []).filter(t => {
+      if(!ids.includes(t.id)) return true;
+      moving.push(t);
+      return false;
+    });
+  });
+  const now = nowISO();
+  const finished = isFinalColumn(toCol) ? moving.filter(t => t.column !== toCol) : [];
+  moving.forEach(t => {
+    logColumnChange(t, toCol);
+    t.column = toCol;
+    t.updatedAt = now;
+  });
+  const target = board[toCol];
+  target.splice(Math.max(0, Math.min(toIndex, target.length)), 0, ...moving);
+  repeatFinishedTasks(finished);
+  saveToStorage();
+}
+
+/* get task by id */
+function getTaskById(id){
+  for(let {key} of columnsMeta){
+    const t = (board[key] || []).find(x=>x.id===id);
+    if(t) return t;
+  }
+  return null;
+}
+
+/* --- Create / Edit / Delete --- */
+
+function openModalForCreate(defaultColumn){
   editingTaskId = null;
   modalTitle.textContent = 'Create Task';
   taskTitleInput.value = '';
   taskDescInput.value = '';
-  taskColumnSelect.value = defaultColumn || 'todo';
+  setDescriptionMode('write');
+  taskColumnSelect.value = defaultColumn || columnsMeta[0].key;
+  taskDueInput.value = '';
+  taskPrioritySelect.value = '';
+  fillRepeatFields(null);
+  modalChecklist = [];
+  renderChecklistEditor();
+  taskBoardRow.hidden = true; // new tasks are always created on the current board
+  taskActivityRow.hidden = true;
+  modalTagIds = new Set();
+  renderTagPicker();
+  modalBackdrop.style.display = 'flex';
+  modalBackdrop.setAttribute('aria-hidden','false');
+  taskTitleInput.focus();
+}
+
+function openModalForEdit(taskId){
+  const t = getTaskById(taskId);
+  if(!t) return;
+  editingTaskId = taskId;
+  editingTaskStamp = t.updatedAt;
+  modalTitle.textContent = 'Edit Task';
+  taskTitleInput.value = t.title;
+  taskDescInput.value = t.description || '';
+  setDescriptionMode(t.description ? 'preview' : 'write'); // existing text opens rendered
+  taskColumnSelect.value = t.column;
+  taskDueInput.value = t.due ? toDateTimeInputValue(t.due) : '';
+  taskPrioritySelect.value = isPriority(t.priority) ? String(t.priority) : '';
+  fillRepeatFields(t.recurrence);
+  modalChecklist = (t.checklist || []).map(item => ({...item}));
+  renderChecklistEditor();
+  modalTagIds = new Set(t.tags || []);
+  renderTagPicker();
+  taskBoardSelect.value = currentBoardId;
+  taskBoardRow.hidden = boardsIndex.boards.length < 2; // only offer moving when there is somewhere to go
+  renderActivityTimeline(t);
   modalBackdrop.style.display = 'flex';
   modalBackdrop.setAttribute('aria-hidden','false');
   taskTitleInput.focus();
 }
 
-function openModalForEdit(taskId){
-  const t = getTaskById(taskId);
-  if(!t) return;
-  editingTaskId = taskId;
-  modalTitle.textContent = 'Edit Task';
-  taskTitleInput.value = t.title;
-  taskDescInput.value = t.description || '';
-  taskColumnSelect.value = t.column;
-  modalBackdrop.style.display = 'flex';
-  modalBackdrop.setAttribute('aria-hidden','false');
-  taskTitleInput.focus();
+/* true while any modal dialog (task form, import, ...) is showing */
+function isDialogOpen(){
+  return Array.from(document.querySelectorAll('.modal-backdrop')).some(el => el.style.display === 'flex');
+}
+
+/* Tab / Shift+Tab wrap around inside the topmost open dialog (the tag manager can sit on top of the task modal) */
+function trapDialogFocus(e){
+  const open = Array.from(document.querySelectorAll('.modal-backdrop')).filter(el => el.style.display === 'flex');
+  const dialog = open[open.length - 1];
+  const focusable = Array.from(dialog.querySelectorAll('button, input, select, textarea, a[href], [tabindex]'))
+    .filter(el => !el.disabled && el.tabIndex >= 0 && el.type !== 'hidden' && !el.closest('[hidden]'));
+  if(focusable.length === 0) return;
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  if(!dialog.contains(document.activeElement)){
+    e.preventDefault();
+    (e.shiftKey ? last : first).focus();
+  } else if(e.shiftKey && document.activeElement === first){
+    e.preventDefault();
+    last.focus();
+  } else if(!e.shiftKey && document.activeElement === last){
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+/* close modal */
+function closeModal(){
+  editingTaskId = null;
+  modalBackdrop.style.display = 'none';
+  modalBackdrop.setAttribute('aria-hidden','true');
+  // return focus to Add button
+  openCreateBtn.focus();
+}
+
+/* create a task at the top of its column and return it */
+/* Shared by the modal, quick-add and CSV/Markdown import; callers record history, save and render */
+function createTask({ title, description = '', column, tags = [], due = null, checklist = [], recurrence = null, priority = null }){
+  const newTask = {
+    id: genId(),
+    title,
+    description,
+    column,
+    tags,
+    due,
+    checklist,
+    activity: [{ type: 'created', at: nowISO(), column }],
+    createdAt: nowISO(),
+    updatedAt: nowISO()
+  };
+  if(recurrence) newTask.recurrence = recurrence;
+  if(isPriority(priority)) newTask.priority = priority;
+  board[column] = board[column] || [];
+  board[column].unshift(newTask); // place at top
+  return newTask;
+}
+
+/* handle form submit (create or edit) */
+taskForm.addEventListener('submit', (e)=>{
+  e.preventDefault();
+  const title = taskTitleInput.value.trim();
+  const desc = taskDescInput.value.trim();
+  const column = taskColumnSelect.value;
+  const targetBoardId = taskBoardSelect.value;
+  const due = taskDueInput.value ? new Date(taskDueInput.value).toISOString() : null;
+  const checklist = modalChecklist.filter(item => item.text.trim()).map(item => ({ ...item, text: item.text.trim() }));
+  const recurrence = readRepeatFields(due);
+  const priority = parsePriority(taskPrioritySelect.value);
+
+  if(!title){
+    document.getElementById('titleError').style.display = 'block';
+    taskTitleInput.focus();
+    return;
+  } else {
+    document.getElementById('titleError').style.display = 'none';
+  }
+
+  if(editingTaskId){
+    // edit
+    const t = getTaskById(editingTaskId);
+    if(!t){
+      showToast('This task was deleted in another tab.', 4000);
+      return closeModal();
+    }
+    if(!taskBoardRow.hidden && targetBoardId !== currentBoardId){
+      // moving to another board (keeps the edits made in this form)
+      moveTaskToBoard(t, targetBoardId, column, { title, description: desc, tags: pickedTagIds(), due, checklist, recurrence, priority })
+        .then(moved => { if(moved) closeModal(); });
+      return;
+    }
+    if(t.column !== column && !checkWipLimit(column, 1)) return;
+    if(t.column !== column && !confirmOpenChecklists([{ ...t, checklist }], column)) return;
+    recordHistory(`edit "${t.title}"`);
+    setLoggedField(t, 'title', title);
+    setLoggedField(t, 'description', desc);
+    t.tags = pickedTagIds();
+    t.due = due;
+    t.checklist = checklist;
+    if(recurrence) t.recurrence = recurrence;
+    else delete t.recurrence;
+    if(priority !== null) t.priority = priority;
+    else delete t.priority;
+    // if column changed, move to end of that column
+    if(t.column !== column){
+      // remove from current
+      const arr = board[t.column];
+      const idx = arr.findIndex(x=>x.id===t.id);
+      if(idx>-1) arr.splice(idx,1);
+      logColumnChange(t, column);
+      t.column = column;
+      board[column].push(t);
+      if(isFinalColumn(column)) repeatFinishedTasks([t]);
+    }
+    t.updatedAt = nowISO();
+    showUndoToast('Saved');
+    announce(`Task "${t.title}" updated.`);
+  } else {
+    // create
+    if(!checkWipLimit(column, 1)) return;
+    recordHistory(`create "${title}"`);
+    createTask({ title, description: desc, column, tags: pickedTagIds(), due, checklist, recurrence, priority });
+    showUndoToast('Saved');
+    announce(`Task "${title}" created.`);
+  }
+  saveToStorage();
+  closeModal();
+  render();
+});
+
+/* cancel button */
+cancelModalBtn.addEventListener('click', (e)=>{
+  e.preventDefault();
+  closeModal();
+});
+
+/* clicking backdrop closes modal (but keep focus trapped minimal) */
+modalBackdrop.addEventListener('click', (e)=>{
+  if(e.target === modalBackdrop){
+    closeModal();
+  }
+});
+
+/* Delete   */
+/* No confirm() dialog: the task goes to the trash (restorable there, or with Undo in the toast / Ctrl+Z) */
+function deleteTaskWithConfirm(id){
+  const t = getTaskById(id);
+  if(!t) return;
+  recordHistory(`delete "${t.title}"`);
+  moveToTrash(t);
+  saveToStorage();
+  render();
+  showUndoToast('Moved to trash');
+  announce(`Task "${t.title}" moved to the trash.`);
+}
+
+/* --- Archive & trash --- */
+/* Archived tasks (finished cards from the last column) and deleted tasks leave the board but are kept
+   in `archive` / `trash` with the column and position they had, so they can be restored there.
+   The archive is searchable; the trash keeps tasks for prefs.trashRetentionDays. "Empty trash" is
+   the only action that removes tasks for good. */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SHELVES = ['archive', 'trash'];
+
+/* Move a task from the board (or the archive) onto a shelf: 'archive' or 'trash' */
+function shelveTask(task, place){
+  const list = board[task.column];
+  const index = list ? list.indexOf(task) : -1;
+  if(index > -1){
+    list.splice(index, 1);
+    task.position = index;
+  } else {
+    // coming from the archive: keeps the board position it was archived from
+    archive = archive.filter(t => t !== task);
+    delete task.archivedAt;
+  }
+  logActivity(task, place === 'archive' ? 'archived' : 'deleted');
+  task.updatedAt = nowISO();
+  if(place === 'archive'){
+    task.archivedAt = task.updatedAt;
+    archive.unshift(task);
+  } else {
+    task.deletedAt = task.updatedAt;
+    trash.unshift(task);
+  }
+}
+
+/* Move a task to the trash (callers record history, save and render) */
+function moveToTrash(task){
+  shelveTask(task, 'trash');
+}
+
+/* Archive those of the given tasks that sit in the last column; returns how many were archived */
+/* (callers render) */
+function archiveTasks(ids){
+  const tasks = ids.map(getTaskById).filter(t => t && isFinalColumn(t.column));
+  if(tasks.length === 0){
+    showToast(`Only tasks in "${getColumnTitle(columnsMeta[columnsMeta.length - 1].key)}" can be archived.`, 3000);
+    return 0;
+  }
+  recordHistory(tasks.length === 1 ? `archive "${tasks[0].title}"` : `archive ${tasks.length} tasks`);
+  tasks.forEach(t => shelveTask(t, 'archive'));
+  saveToStorage();
+  return tasks.length;
+}
+
+/* Archive one finished card */
+function archiveTask(id){
+  const task = getTaskById(id);
+  if(!task || !archiveTasks([id])) return;
+  render();
+  showUndoToast('Archived');
+  announce(`Task "${task.title}" archived.`);
+}
+
+/* Put an archived or deleted task back into its column at the position it had */
+/* (the first column if its column was deleted since) */
+function restoreTask(place, id){
+  const task = (place === 'archive' ? archive : trash).find(t => t.id === id);
+  if(!task) return;
+  const column = getColumnMeta(task.column) ? task.column : columnsMeta[0].key;
+  if(!checkWipLimit(column, 1)) return;
+  recordHistory(`restore "${task.title}"`);
+  if(place === 'archive') archive = archive.filter(t => t !== task);
+  else trash = trash.filter(t => t !== task);
+  const position = task.position;
+  delete task.archivedAt;
+  delete task.deletedAt;
+  delete task.position;
+  logActivity(task, 'restored');
+  task.column = column;
+  task.updatedAt = nowISO();
+  board[column].splice(Math.min(position, board[column].length), 0, task);
+  saveToStorage();
+  render();
+  renderShelf(place);
+  showUndoToast(`Restored to ${getColumnTitle(column)}`);
+  announce(`Task "${task.title}" restored to ${getColumnTitle(column)}.`);
+}
+
+/* Move an archived task to the trash */
+function trashArchivedTask(id){
+  const task = archive.find(t => t.id === id);
+  if(!task) return;
+  recordHistory(`delete "${task.title}"`);
+  shelveTask(task, 'trash');
+  saveToStorage();
+  render();
+  renderShelf('archive');
+  showUndoToast('Moved to trash');
+  announce(`Task "${task.title}" moved to the trash.`);
+}
+
+/* Remove every task in the trash for good (also from the undo history, which could bring them back) */
+function emptyTrash(){
+  if(trash.length === 0) return;
+  if(!confirm(`Permanently delete ${trash.length} task(s) in the trash? This cannot be undone.`)) return;
+  const count = trash.length;
+  const ids = trash.map(t => t.id);
+  trash = [];
+  forgetTasksInHistory(ids);
+  saveToStorage();
+  render();
+  renderShelf('trash');
+  showToast('Trash emptied');
+  announce(`${count} task(s) permanently deleted.`);
+}
+
+/* Drop tasks that have been in the trash longer than the retention period */
+function purgeExpiredTrash(){
+  const cutoff = Date.now() - prefs.trashRetentionDays * DAY_MS;
+  const kept = trash.filter(t => Date.parse(t.deletedAt) > cutoff);
+  if(kept.length === trash.length) return;
+  const ids = trash.filter(t => !kept.includes(t)).map(t => t.id);
+  trash = kept;
+  forgetTasksInHistory(ids);
+  saveToStorage();
+}
+
+/* Short local date and time for the archive and trash lists */
+function formatShelfDate(iso){
+  return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/* Draw the archive (filtered by its search box) or the trash list */
+function renderShelf(place){
+  const isArchive = place === 'archive';
+  const listEl = isArchive ? archiveListEl : trashListEl;
+  const query = isArchive ? archiveSearchInput.value.trim() : '';
+  const q = query.toLowerCase();
+  const all = isArchive ? archive : trash;
+  const shown = q ? all.filter(t => t.title.toLowerCase().includes(q) || (t.description || '').toLowerCase().includes(q)) : all;
+  listEl.innerHTML = '';
+  shown.forEach(task => {
+    const li = document.createElement('li');
+    li.className = 'shelf-item';
+    const info = document.createElement('div');
+    info.className = 'shelf-info';
+    const title = document.createElement('span');
+    title.className = 'shelf-title';
+    appendHighlighted(title, task.title, query);
+    const meta = document.createElement('span');
+    meta.className = 'shelf-meta';
+    const column = getColumnMeta(task.column) ? getColumnTitle(task.column) : 'a deleted column';
+    meta.textContent = isArchive
+      ? `From ${column} · archived ${formatShelfDate(task.archivedAt)}`
+      : `From ${column} · deleted ${formatShelfDate(task.deletedAt)} · removed for good after ${formatShelfDate(new Date(Date.parse(task.deletedAt) + prefs.trashRetentionDays * DAY_MS).toISOString())}`;
+    info.append(title, meta);
+    if(isArchive && task.description){
+      const desc = document.createElement('span');
+      desc.className = 'shelf-desc';
+      appendHighlighted(desc, task.description, query);
+      info.appendChild(desc);
+    }
+    li.appendChild(info);
+    const restoreBtn = document.createElement('button');
+    restoreBtn.type = 'button';
+    restoreBtn.className = 'secondary';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.setAttribute('aria-label', `Restore "${task.title}"`);
+    restoreBtn.addEventListener('click', ()=>restoreTask(place, task.id));
+    li.appendChild(restoreBtn);
+    if(isArchive){
+      const delBtn = document.createElement('button');
+      delBtn.type = 'button';
+      delBtn.className = 'secondary danger';
+      delBtn.textContent = 'Delete';
+      delBtn.setAttribute('aria-label', `Move "${task.title}" to the trash`);
+      delBtn.addEventListener('click', ()=>trashArchivedTask(task.id));
+      li.appendChild(delBtn);
+    }
+    listEl.appendChild(li);
+  });
+  const summary = isArchive ? archiveSummary : trashSummary;
+  if(all.length === 0) summary.textContent = isArchive ? 'No archived tasks.' : 'The trash is empty.';
+  else if(q) summary.textContent = `${shown.length} of ${all.length} archived task(s) match "${query}".`;
+  else summary.textContent = `${all.length} task(s).`;
+  if(!isArchive) emptyTrashBtn.disabled = all.length === 0;
+}
+
+/* Show "n in archive" next to the search box when archived tasks match the search */
+/* and keep the Trash button's count current */
+function renderShelfIndicators(){
+  const matches = searchQuery ? archive.filter(taskMatchesFilter).length : 0;
+  archiveMatchesBtn.hidden = matches === 0;
+  archiveMatchesBtn.textContent = `${matches} in archive`;
+  trashBtn.textContent = trash.length ? `Trash (${trash.length})` : 'Trash';
+}
+
+/* Element focused before the archive or trash dialog opened (focus returns there) */
+let shelfReturnFocus = null;
+
+/* Open the archive (optionally searching for `query`) or the trash dialog */
+function openShelfDialog(place, query){
+  shelfReturnFocus = document.activeElement;
+  const backdrop = place === 'archive' ? archiveBackdrop : trashBackdrop;
+  if(place === 'archive'){
+    archiveSearchInput.value = query || '';
+  } else {
+    purgeExpiredTrash();
+    trashRetentionInput.value = prefs.trashRetentionDays;
+  }
+  renderShelf(place);
+  backdrop.style.display = 'flex';
+  backdrop.setAttribute('aria-hidden','false');
+  (place === 'archive' ? archiveSearchInput : trashRetentionInput).focus();
+}
+
+/* Close the archive or trash dialog */
+function closeShelfDialog(place){
+  const backdrop = place === 'archive' ? archiveBackdrop : trashBackdrop;
+  backdrop.style.display = 'none';
+  backdrop.setAttribute('aria-hidden','true');
+  if(shelfReturnFocus && shelfReturnFocus.isConnected) shelfReturnFocus.focus();
+  shelfReturnFocus = null;
+}
+
+/* archive and trash buttons */
+archiveBtn.addEventListener('click', ()=>openShelfDialog('archive'));
+trashBtn.addEventListener('click', ()=>openShelfDialog('trash'));
+archiveMatchesBtn.addEventListener('click', ()=>openShelfDialog('archive', searchQuery));
+closeArchiveBtn.addEventListener('click', ()=>closeShelfDialog('archive'));
+closeTrashBtn.addEventListener('click', ()=>closeShelfDialog('trash'));
+emptyTrashBtn.addEventListener('click', emptyTrash);
+
+/* search the archive as you type */
+archiveSearchInput.addEventListener('input', ()=>renderShelf('archive'));
+
+/* retention period (whole days, at least 1) */
+trashRetentionInput.addEventListener('change', ()=>{
+  const days = parseInt(trashRetentionInput.value, 10);
+  if(!(days >= 1)){
+    trashRetentionInput.value = prefs.trashRetentionDays;
+    return;
+  }
+  prefs.trashRetentionDays = Math.min(days, 3650);
+  trashRetentionInput.value = prefs.trashRetentionDays;
+  savePrefs();
+  purgeExpiredTrash();
+  render();
+  renderShelf('trash');
+  announce(`Deleted tasks are kept for ${prefs.trashRetentionDays} day(s).`);
+});
+
+/* clicking a dialog backdrop closes it */
+archiveBackdrop.addEventListener('click', (e)=>{
+  if(e.target === archiveBackdrop) closeShelfDialog('archive');
+});
+trashBackdrop.addEventListener('click', (e)=>{
+  if(e.target === trashBackdrop) closeShelfDialog('trash');
+});
+
+/* --- Board statistics --- */
+/* The Statistics dialog answers "how long do tasks take" from each task's activity log, which already
+   records when a task entered each column (created, moved, restored). Tasks on the board and in the
+   archive count, deleted ones don't. A task is finished while it sits in the last column, from the
+   last time it entered it:
+   - lead time: created → finished
+   - cycle time: first moved out of the first column → finished
+   - time in column: how long finished tasks spent in each of the other columns (all visits added up)
+   - throughput: tasks finished per week (weeks start on Monday)
+   - cumulative flow: tasks in each column at the end of each day (archived tasks stay in the last one)
+   Only tasks finished in the chosen date range count; the flow chart covers the days of the range. */
+
+const STATS_DEFAULT_DAYS = 30;  // range shown when the dialog opens
+const STATS_MAX_POINTS = 120;   // most days drawn in the flow chart (longer ranges skip days)
+const STATS_MAX_BARS = 26;      // most bars in the throughput chart (longer ranges add up several weeks per bar)
+const STATS_COLORS = ['#94A3B8', '#4F46E5', '#F59E0B', '#0EA5E9', '#EC4899', '#8B5CF6', '#14B8A6', '#10B981'];
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+let statsReturnFocus = null;
+
+/* Periods a task spent in columns: [{ column, start, end }] (ms; end is null for the column it is in) */
+/* What happened before a move from another board belongs to that board and is left out */
+function columnVisits(task){
+  const entries = task.activity || [];
+  // the column a task arrived in when the entry doesn't say: where its next move took it from
+  const arrivedIn = index => {
+    const next = entries.slice(index + 1).find(a => a.type === 'moved');
+    return next ? next.from : task.column;
+  };
+  let visits = [];
+  let column = entries[0] && entries[0].type === 'created' && entries[0].column ? entries[0].column : arrivedIn(-1);
+  let start = Date.parse(task.createdAt);
+  entries.forEach((entry, index) => {
+    const at = Date.parse(entry.at);
+    if(entry.type === 'moved'){
+      if(column) visits.push({ column, start, end: at });
+      column = entry.to;
+      start = at;
+    } else if(entry.type === 'board'){
+      visits = [];
+      column = arrivedIn(index);
+      start = at;
+    } else if(entry.type === 'deleted'){
+      if(column) visits.push({ column, start, end: at });
+      column = null;
+    } else if(entry.type === 'restored' && !column){
+      column = arrivedIn(index);
+      start = at;
+    }
+  });
+  if(column) visits.push({ column, start, end: null });
+  return visits;
+}
+
+/* "3d 4h", "5h 10m", "12m", "< 1m" */
+function formatDuration(ms){
+  const minutes = Math.floor(ms / 60000);
+  if(minutes < 1) return '< 1m';
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor(minutes % 1440 / 60);
+  if(days) return hours ? `${days}d ${hours}h` : `${days}d`;
+  return hours ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+/* Average and median of a list of durations (null when empty) */
+function durationSummary(values){
+  if(values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return {
+    average: values.reduce((sum, v) => sum + v, 0) / values.length,
+    median: sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+  };
+}
+
+/* Midnight (local time) at the start of the Monday of t's week */
+function startOfWeek(t){
+  const d = new Date(t);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - (d.getDay() + 6) % 7);
+  return d.getTime();
+}
+
+/* t moved by a number of calendar days (local time, so daylight saving changes don't shift it) */
+function addDays(t, days){
+  const d = new Date(t);
+  d.setDate(d.getDate() + days);
+  return d.getTime();
+}
+
+/* Every number shown in the dialog for the range from..to (ms, inclusive):
+   { finished, leadTime, cycleTime, columnTimes: [{ meta, count, summary }], weekSpan, weeks: [{ start, count }],
+     flow: [{ at, counts: { [columnKey]: n } }] } */
+function computeBoardStats(from, to){
+  const firstKey = columnsMeta[0].key;
+  const lastKey = columnsMeta[columnsMeta.length - 1].key;
+  const records = allTasks().concat(archive).map(task => {
+    const visits = columnVisits(task);
+    const current = visits[visits.length - 1];
+    const finishedAt = task.column === lastKey && current && current.end === null && current.column === lastKey ? current.start : null;
+    return { task, visits, finishedAt };
+  });
+  const finished = records.filter(r => r.finishedAt !== null && r.finishedAt >= from && r.finishedAt <= to);
+
+  const leadTime = durationSummary(finished.map(r => r.finishedAt - Date.parse(r.task.createdAt)));
+  // a one-column board has no "started" step, so there is no cycle time to report
+  const cycleTime = durationSummary(columnsMeta.length < 2 ? [] : finished.flatMap(r => {
+    const started = r.visits.find(v => v.column !== firstKey);
+    return started ? [r.finishedAt - started.start] : [];
+  }));
+  const columnTimes = columnsMeta.slice(0, -1).map(meta => {
+    const spent = finished.filter(r => r.visits.some(v => v.column === meta.key))
+      .map(r => r.visits.filter(v => v.column === meta.key).reduce((sum, v) => sum + v.end - v.start, 0));
+    return { meta, count: spent.length, summary: durationSummary(spent) };
+  });
+
+  // one bar per week, or per weekSpan weeks for long ranges
+  const weekSpan = Math.max(1, Math.ceil((to - startOfWeek(from)) / (7 * DAY_MS) / STATS_MAX_BARS));
+  const weeks = [];
+  for(let start = startOfWeek(from); start <= to; start = addDays(start, 7 * weekSpan)){
+    weeks.push({ start, count: 0 });
+  }
+  finished.forEach(r => {
+    const week = weeks.filter(w => w.start <= r.finishedAt).pop();
+    if(week) week.count++;
+  });
+
+  const days = Math.round((to + 1 - from) / DAY_MS);
+  const step = Math.max(1, Math.ceil(days / STATS_MAX_POINTS));
+  const flow = [];
+  for(let day = 0; day < days; day += step){
+    const at = Math.min(addDays(from, day + 1) - 1, to);
+    const counts = {};
+    columnsMeta.forEach(({key}) => { counts[key] = 0; });
+    records.forEach(r => {
+      const visit = r.visits.find(v => v.start <= at && (v.end === null || v.end > at));
+      if(visit && visit.column in counts) counts[visit.column]++;
+    });
+    flow.push({ at, counts });
+  }
+
+  return { finished: finished.length, leadTime, cycleTime, columnTimes, weekSpan, weeks, flow };
+}
+
+/* SVG element with attributes */
+function svgEl(name, attrs){
+  const el = document.createElementNS(SVG_NS, name);
+  Object.keys(attrs).forEach(key => el.setAttribute(key, attrs[key]));
+  return el;
+}
+
+/* Empty chart canvas (role img, labelled by `label`) */
+function createChart(width, height, label){
+  return svgEl('svg', { viewBox: `0 0 ${width} ${height}`, class: 'stats-chart', role: 'img', 'aria-label': label });
+}
+
+/* Colour of a column in the charts (by position) */
+function statsColor(index){
+  return STATS_COLORS[index % STATS_COLORS.length];
+}
+
+/* "Mar 3" */
+function formatShortDate(t){
+  return new Date(t).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+/* Bar chart of tasks finished per week (per `span` weeks) */
+function createThroughputChart(weeks, span){
+  const width = 380, height = 150, bottom = 20, top = 14;
+  const max = Math.max(1, ...weeks.map(w => w.count));
+  const period = span > 1 ? `${span} weeks` : 'week';
+  const label = `Tasks finished per ${period}: ` + weeks.map(w => `week of ${formatShortDate(w.start)}: ${w.count}`).join(', ');
+  const svg = createChart(width, height, label);
+  const slot = width / weeks.length;
+  // at most about 8 date labels under the bars
+  const labelEvery = Math.ceil(weeks.length / 8);
+  weeks.forEach((week, i) => {
+    const barHeight = (height - bottom - top) * week.count / max;
+    const x = i * slot + slot * 0.15;
+    const bar = svgEl('rect', { x, y: height - bottom - barHeight, width: slot * 0.7, height: barHeight, rx: 2, class: 'stats-bar' });
+    const title = svgEl('title', {});
+    title.textContent = `${span > 1 ? `${span} weeks from` : 'Week of'} ${formatShortDate(week.start)}: ${week.count} finished`;
+    bar.appendChild(title);
+    svg.appendChild(bar);
+    if(week.count){
+      const value = svgEl('text', { x: x + slot * 0.35, y: height - bottom - barHeight - 3, 'text-anchor': 'middle', class: 'stats-value' });
+      value.textContent = week.count;
+      svg.appendChild(value);
+    }
+    if(i % labelEvery === 0){
+      const text = svgEl('text', { x: x + slot * 0.35, y: height - 5, 'text-anchor': 'middle', class: 'stats-axis' });
+      text.textContent = formatShortDate(week.start);
+      svg.appendChild(text);
+    }
+  });
+  return svg;
+}
+
+/* Stacked area chart of tasks per column per day, the last column at the bottom */
+function createFlowChart(flow){
+  const width = 380, height = 180, bottom = 20;
+  const max = Math.max(1, ...flow.map(p => Object.values(p.counts).reduce((a, b) => a + b, 0)));
+  const last = flow[flow.length - 1];
+  const label = `Cumulative flow from ${formatShortDate(flow[0].at)} to ${formatShortDate(last.at)}; on the last day ` +
+    columnsMeta.map(({key, title}) => `${title} ${last.counts[key]}`).join(', ');
+  const svg = createChart(width, height, label);
+  const x = i => flow.length === 1 ? width / 2 : i * width / (flow.length - 1);
+  const y = n => height - bottom - (height - bottom) * n / max;
+  const below = flow.map(() => 0);
+  columnsMeta.slice().reverse().forEach(({key, title}) => {
+    const index = columnsMeta.findIndex(c => c.key === key);
+    const upper = flow.map((p, i) => below[i] + p.counts[key]);
+    const points = upper.map((n, i) => `${x(i)},${y(n)}`)
+      .concat(below.map((n, i) => `${x(i)},${y(n)}`).reverse());
+    const area = svgEl('polygon', { points: points.join(' '), fill: statsColor(index) });
+    const tip = svgEl('title', {});
+    tip.textContent = title;
+    area.appendChild(tip);
+    svg.appendChild(area);
+    upper.forEach((n, i) => { below[i] = n; });
+  });
+  [flow[0], last].forEach((p, i) => {
+    const text = svgEl('text', { x: i ? width - 2 : 2, y: height - 5, 'text-anchor': i ? 'end' : 'start', class: 'stats-axis' });
+    text.textContent = formatShortDate(p.at);
+    svg.appendChild(text);
+  });
+  const top = svgEl('text', { x: 2, y: 12, class: 'stats-axis' });
+  top.textContent = `${max} tasks`;
+  svg.appendChild(top);
+  return svg;
+}
+
+/* Colour key of the flow chart */
+function createFlowLegend(){
+  const legend = document.createElement('ul');
+  legend.className = 'stats-legend';
+  legend.setAttribute('aria-hidden', 'true'); // the chart's label lists the columns
+  columnsMeta.forEach(({title}, index) => {
+    const item = document.createElement('li');
+    const swatch = document.createElement('span');
+    swatch.className = 'stats-swatch';
+    swatch.style.background = statsColor(index);
+    item.append(swatch, title);
+    legend.appendChild(item);
+  });
+  return legend;
+}
+
+/* Section heading inside the dialog */
+function createStatsHeading(text){
+  const heading = document.createElement('h3');
+  heading.className = 'stats-heading';
+  heading.textContent = text;
+  return heading;
+}
+
+/* Date input value (YYYY-MM-DD, local) for a time */
+function toDateInputValue(t){
+  const d = new Date(t);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/* Range chosen in the dialog: { from, to } in ms (start of the first day, end of the last) */
+/* Unreadable or reversed dates fall back to the default range */
+function readStatsRange(){
+  const from = new Date(`${statsFromInput.value}T00:00`).getTime();
+  const to = new Date(`${statsToInput.value}T00:00`).getTime();
+  if(isNaN(from) || isNaN(to) || from > to){
+    resetStatsRange();
+    return readStatsRange();
+  }
+  return { from, to: addDays(to, 1) - 1 };
+}
+
+/* Last STATS_DEFAULT_DAYS days, today included */
+function resetStatsRange(){
+  const from = new Date();
+  from.setDate(from.getDate() - STATS_DEFAULT_DAYS + 1);
+  statsFromInput.value = toDateInputValue(from);
+  statsToInput.value = toDateInputValue(Date.now());
+}
+
+/* Fill the statistics dialog for the chosen range */
+function renderStats(){
+  const { from, to } = readStatsRange();
+  const stats = computeBoardStats(from, to);
+  const lastTitle = columnsMeta[columnsMeta.length - 1].title;
+  const describe = summary => summary ? `${formatDuration(summary.average)} on average (median ${formatDuration(summary.median)})` : '—';
+  statsBody.innerHTML = '';
+
+  const summary = document.createElement('dl');
+  summary.className = 'stats-summary';
+  [
+    [`Finished (reached "${lastTitle}")`, String(stats.finished)],
+    ['Lead time (created → finished)', describe(stats.leadTime)],
+    ['Cycle time (started → finished)', describe(stats.cycleTime)]
+  ].forEach(([term, value]) => {
+    const dt = document.createElement('dt');
+    dt.textContent = term;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    summary.append(dt, dd);
+  });
+  statsBody.appendChild(summary);
+
+  statsBody.appendChild(createStatsHeading('Time in column (finished tasks)'));
+  const table = document.createElement('table');
+  table.className = 'stats-table';
+  const head = table.createTHead().insertRow();
+  ['Column', 'Average', 'Median', 'Tasks'].forEach(text => {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.textContent = text;
+    head.appendChild(th);
+  });
+  const tbody = table.createTBody();
+  stats.columnTimes.forEach(({ meta, count, summary }) => {
+    const row = tbody.insertRow();
+    const name = document.createElement('th');
+    name.scope = 'row';
+    name.textContent = meta.title;
+    row.appendChild(name);
+    [summary ? formatDuration(summary.average) : '—', summary ? formatDuration(summary.median) : '—', String(count)]
+      .forEach(text => { row.insertCell().textContent = text; });
+  });
+  statsBody.appendChild(table);
+
+  statsBody.appendChild(createStatsHeading(`Throughput (finished per ${stats.weekSpan > 1 ? `${stats.weekSpan} weeks` : 'week'})`));
+  statsBody.appendChild(createThroughputChart(stats.weeks, stats.weekSpan));
+
+  statsBody.appendChild(createStatsHeading('Cumulative flow'));
+  statsBody.appendChild(createFlowChart(stats.flow));
+  statsBody.appendChild(createFlowLegend());
+
+  announce(`Statistics from ${formatShortDate(from)} to ${formatShortDate(to)}: ${stats.finished} tasks finished.`);
+}
+
+/* Open / close the statistics dialog */
+function openStatsDialog(){
+  statsReturnFocus = document.activeElement;
+  resetStatsRange();
+  renderStats();
+  statsBackdrop.style.display = 'flex';
+  statsBackdrop.setAttribute('aria-hidden','false');
+  statsFromInput.focus();
+}
+
+function closeStatsDialog(){
+  statsBackdrop.style.display = 'none';
+  statsBackdrop.setAttribute('aria-hidden','true');
+  if(statsReturnFocus && statsReturnFocus.isConnected) statsReturnFocus.focus();
+  statsReturnFocus = null;
+}
+
+statsBtn.addEventListener('click', openStatsDialog);
+closeStatsBtn.addEventListener('click', closeStatsDialog);
+statsFromInput.addEventListener('change', renderStats);
+statsToInput.addEventListener('change', renderStats);
+
+/* --- Search & filtering --- */
+
+/* Current search text (trimmed); empty when not searching */
+let searchQuery = '';
+
+/* Tag id cards are filtered by (set by clicking a tag chip); null when not filtering by tag */
+let activeTagFilter = null;
+
+/* True while render() shows only some of the tasks */
+function isFilterActive(){
+  return searchQuery !== '' || activeTagFilter !== null;
+}
+
+/* Does a task match the current search and tag filter? (search: case-insensitive, title and description) */
+function taskMatchesFilter(task){
+  if(activeTagFilter && !(task.tags || []).includes(activeTagFilter)) return false;
+  if(!searchQuery) return true;
+  const q = searchQuery.toLowerCase();
+  return task.title.toLowerCase().includes(q) || (task.description || '').toLowerCase().includes(q);
+}
+
+/* Append text to el, wrapping case-insensitive matches of query in <mark> (text nodes only, no HTML) */
+function appendHighlighted(el, text, query){
+  if(!query){
+    el.appendChild(document.createTextNode(text));
+    return;
+  }
+  const lower = text.toLowerCase();
+  const q = query.toLowerCase();
+  let pos = 0;
+  let hit = lower.indexOf(q);
+  while(hit !== -1){
+    if(hit > pos) el.appendChild(document.createTextNode(text.slice(pos, hit)));
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(hit, hit + q.length);
+    el.appendChild(mark);
+    pos = hit + q.length;
+    hit = lower.indexOf(q, pos);
+  }
+  if(pos < text.length) el.appendChild(document.createTextNode(text.slice(pos)));
+}
+
+/* Announce how many tasks match after the user pauses typing */
+let searchAnnounceTimer = null;
+function announceSearchResults(){
+  if(searchAnnounceTimer) clearTimeout(searchAnnounceTimer);
+  searchAnnounceTimer = setTimeout(()=>{
+    if(!isFilterActive()) return announce('Search cleared. Showing all tasks.');
+    const all = allTasks();
+    const tag = activeTagFilter && getTagMeta(activeTagFilter);
+    const what = [searchQuery && `"${searchQuery}"`, tag && `tag "${tag.name}"`].filter(Boolean).join(' and ');
+    const archived = searchQuery ? archive.filter(taskMatchesFilter).length : 0;
+    announce(`${all.filter(taskMatchesFilter).length} of ${all.length} tasks match ${what}.` + (archived ? ` ${archived} archived task(s) match too.` : ''));
+  }, 500);
+}
+
+/* filter as you type */
+searchInput.addEventListener('input', ()=>{
+  searchQuery = searchInput.value.trim();
+  render();
+  announceSearchResults();
+});
+
+/* Escape in the search box clears it */
+searchInput.addEventListener('keydown', (e)=>{
+  if(e.key === 'Escape' && searchInput.value){
+    e.stopPropagation();
+    searchInput.value = '';
+    searchQuery = '';
+    render();
+    announceSearchResults();
+  }
+});
+
+/* --- Markdown descriptions --- */
+/* Descriptions may use a small Markdown subset: **bold**, *italic* (or _italic_), `inline code`,
+   ``` fenced code blocks, "- item" / "1. item" lists and [links](https://...); bare http(s) URLs
+   become links too. The result is built from DOM nodes and textContent only (never innerHTML), so
+   anything that looks like HTML is shown as typed. Links must be http(s) or mailto and open in a new tab. */
+
+/* Inline syntax, tried left to right: code, bold, italic, [text](url), bare URL */
+const MD_INLINE = /`([^`\n]+)`|\*\*(.+?)\*\*|(?<!\w)__(.+?)__(?!\w)|\*([^*\s](?:[^*\n]*[^*\s])?)\*|(?<!\w)_([^_\s](?:[^_\n]*[^_\s])?)_(?!\w)|\[([^\]\n]+)\]\(([^()\s]+)\)|(https?:\/\/[^\s<>()]*[^\s<>().,;:!?'"])/g;
+
+/* "- item", "* item", "+ item" or "1. item" / "1) item" */
+const MD_LIST_ITEM = /^\s*(?:([-*+])|(\d{1,9})[.)])\s+(.*)$/;
+
+/* Opening or closing line of a fenced code block */
+const MD_FENCE = /^\s*```/;
+
+/* The URL if it is safe to link to (http, https, mailto), else null */
+function safeLinkUrl(url){
+  try{
+    const parsed = new URL(url);
+    return ['http:', 'https:', 'mailto:'].includes(parsed.protocol) ? parsed.href : null;
+  }catch(e){
+    return null; // relative or malformed
+  }
+}
+
+/* Append one line of inline Markdown to el (search matches highlighted) */
+function appendInlineMarkdown(el, text, query){
+  let pos = 0;
+  for(const m of text.matchAll(MD_INLINE)){
+    const [whole, code, bold, boldAlt, em, emAlt, linkText, linkUrl, bareUrl] = m;
+    if(m.index > pos) appendHighlighted(el, text.slice(pos, m.index), query);
+    pos = m.index + whole.length;
+    if(code !== undefined){
+      const c = document.createElement('code');
+      appendHighlighted(c, code, query);
+      el.appendChild(c);
+    } else if(bold !== undefined || boldAlt !== undefined){
+      const strong = document.createElement('strong');
+      appendInlineMarkdown(strong, bold !== undefined ? bold : boldAlt, query);
+      el.appendChild(strong);
+    } else if(em !== undefined || emAlt !== undefined){
+      const emEl = document.createElement('em');
+      appendInlineMarkdown(emEl, em !== undefined ? em : emAlt, query);
+      el.appendChild(emEl);
+    } else {
+      const href = safeLinkUrl(linkUrl || bareUrl);
+      if(!href){
+        // e.g. javascript: links stay plain text
+        appendHighlighted(el, whole, query);
+        continue;
+      }
+      const a = document.createElement('a');
+      a.href = href;
+      a.target = '_blank';
+      a.rel = 'noopener noreferrer';
+      appendHighlighted(a, linkText || bareUrl, query);
+      el.appendChild(a);
+    }
+  }
+  if(pos < text.length) appendHighlighted(el, text.slice(pos), query);
+}
+
+/* Append a Markdown description to el as paragraphs, lists and code blocks */
+function renderMarkdown(el, text, query){
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  let i = 0;
+  while(i < lines.length){
+    if(MD_FENCE.test(lines[i])){
+      // code block: everything up to the closing fence (or the end) is shown as is
+      const code = [];
+      i++;
+      while(i < lines.length && !MD_FENCE.test(lines[i])) code.push(lines[i++]);
+      i++;
+      const pre = document.createElement('pre');
+      const c = document.createElement('code');
+      appendHighlighted(c, code.join('\n'), query);
+      pre.appendChild(c);
+      el.appendChild(pre);
+      continue;
+    }
+    if(!lines[i].trim()){
+      i++;
+      continue;
+    }
+    const item = lines[i].match(MD_LIST_ITEM);
+    if(item){
+      // consecutive items of the same kind form one list
+      const ordered = !item[1];
+      const list = document.createElement(ordered ? 'ol' : 'ul');
+      if(ordered && item[2] !== '1') list.start = Number(item[2]);
+      let m;
+      while(i < lines.length && (m = lines[i].match(MD_LIST_ITEM)) && !m[1] === ordered){
+        const li = document.createElement('li');
+        appendInlineMarkdown(li, m[3], query);
+        list.appendChild(li);
+        i++;
+      }
+      el.appendChild(list);
+      continue;
+    }
+    // paragraph: following non-blank lines, each on its own line
+    const p = document.createElement('p');
+    while(i < lines.length && lines[i].trim() && !MD_FENCE.test(lines[i]) && !MD_LIST_ITEM.test(lines[i])){
+      if(p.firstChild) p.appendChild(document.createElement('br'));
+      appendInlineMarkdown(p, lines[i], query);
+      i++;
+    }
+    el.appendChild(p);
+  }
+}
+
+/* Show the description field as the textarea ('write') or the rendered text ('preview') */
+function setDescriptionMode(mode){
+  const preview = mode === 'preview';
+  taskDescInput.hidden = preview;
+  taskDescPreview.hidden = !preview;
+  descWriteBtn.setAttribute('aria-pressed', String(!preview));
+  descPreviewBtn.setAttribute('aria-pressed', String(preview));
+  if(!preview) return;
+  taskDescPreview.replaceChildren();
+  const text = taskDescInput.value.trim();
+  if(text) renderMarkdown(taskDescPreview, text, '');
+  else taskDescPreview.textContent = 'Nothing to preview.';
+  taskDescPreview.classList.toggle('is-empty', !text);
+}
+
+/* write / preview toggle of the task modal */
+descWriteBtn.addEventListener('click', ()=>{
+  setDescriptionMode('write');
+  taskDescInput.focus();
+});
+descPreviewBtn.addEventListener('click', ()=>setDescriptionMode('preview'));
+
+/* --- Due dates & reminders --- */
+
+const DUE_SOON_MS = 24 * 60 * 60 * 1000; // cards due within this window are flagged "due soon"
+const DUE_CHECK_MS = 30 * 1000;          // how often due labels are refreshed and reminders checked
+
+/* Time of the last reminder check; tasks falling due after it are announced once */
+let lastDueCheck = Date.now();
+
+/* Tasks in the last column count as finished: never overdue, no reminders */
+function isFinalColumn(key){
+  return columnsMeta[columnsMeta.length - 1].key === key;
+}
+
+/* Format an ISO timestamp for a datetime-local input (local time, minutes precision) */
+function toDateTimeInputValue(iso){
+  const d = new Date(iso);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth()+1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/* Whole calendar days from one date to another (local time) */
+function calendarDaysBetween(from, to){
+  const a = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  const b = new Date(to.getFullYear(), to.getMonth(), to.getDate());
+  return Math.round((b - a) / 86400000);
+}
+
+/* Relative due text: "due in 20 min", "due today at 17:00", "due tomorrow", "3 days overdue" */
+function relativeDueText(iso, now = new Date()){
+  const due = new Date(iso);
+  const diff = due - now;
+  const days = calendarDaysBetween(now, due);
+  const plural = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+  if(diff < 0){
+    if(days < 0) return `${plural(-days, 'day')} overdue`;
+    const mins = Math.max(1, Math.floor(-diff / 60000));
+    return mins < 60 ? `${mins} min overdue` : `${plural(Math.floor(mins / 60), 'hour')} overdue`;
+  }
+  if(diff < 60 * 60 * 1000) return `due in ${Math.max(1, Math.ceil(diff / 60000))} min`;
+  if(days === 0) return `due today at ${due.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  if(days === 1) return 'due tomorrow';
+  if(days < 7) return `due in ${days} days`;
+  return `due ${due.toLocaleDateString([], { month: 'short', day: 'numeric' })}`;
+}
+
+/* 'overdue', 'soon' or '' for a task (finished tasks are never flagged) */
+function dueStatus(task, now = Date.now()){
+  if(!task.due || isFinalColumn(task.column)) return '';
+  const diff = Date.parse(task.due) - now;
+  if(diff < 0) return 'overdue';
+  return diff <= DUE_SOON_MS ? 'soon' : '';
+}
+
+/* Fill a card's due label and overdue / due-soon flags */
+function applyDueState(card, task){
+  const label = card.querySelector('.task-due');
+  if(!label) return;
+  const status = dueStatus(task);
+  label.textContent = relativeDueText(task.due);
+  label.title = new Date(task.due).toLocaleString();
+  card.classList.toggle('is-overdue', status === 'overdue');
+  card.classList.toggle('is-due-soon', status === 'soon');
+}
+
+/* Refresh due labels in place (no re-render, so drags and focus are left alone) and fire reminders */
+function checkDueDates(){
+  const now = Date.now();
+  const fired = allTasks().filter(t => {
+    if(!t.due || isFinalColumn(t.column)) return false;
+    const due = Date.parse(t.due);
+    return due > lastDueCheck && due <= now;
+  });
+  lastDueCheck = now;
+  // cached cards scrolled out of a virtualized column are refreshed too
+  cardViews.forEach(({ el }) => {
+    const task = getTaskById(el.dataset.id);
+    if(task && task.due) applyDueState(el, task);
+  });
+  if(fired.length === 1){
+    const task = fired[0];
+    showToast(`Due now: "${task.title}"`, 8000, { label: 'Open', onClick: ()=>openModalForEdit(task.id) });
+    announce(`Reminder: task "${task.title}" is now due.`);
+  } else if(fired.length > 1){
+    showToast(`${fired.length} tasks are now due.`, 8000);
+    announce(`Reminder: ${fired.length} tasks are now due: ${fired.map(t => t.title).join(', ')}.`);
+  }
+}
+
+/* Column sort modes; compare() orders a copy of the column for display, the stored (manual) order is untouched */
+/* Array.prototype.sort is stable, so tasks that compare equal keep their manual order */
+const COLUMN_SORTS = {
+  manual: { label: 'Manual order' },
+  priority: {
+    label: 'Priority',
+    // P0 first; tasks without a priority at the end
+    compare: (a, b) => (isPriority(a.priority) ? a.priority : PRIORITIES.length) - (isPriority(b.priority) ? b.priority : PRIORITIES.length)
+  },
+  due: {
+    label: 'Due date',
+    // soonest first; tasks without a due date keep their manual order at the end
+    compare: (a, b) => (a.due ? Date.parse(a.due) : Infinity) - (b.due ? Date.parse(b.due) : Infinity)
+  },
+  created: {
+    label: 'Date created',
+    // newest first
+    compare: (a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt)
+  },
+  updated: {
+    label: 'Last updated',
+    // most recently changed (or moved) first
+    compare: (a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt)
+  },
+  title: {
+    label: 'Title',
+    // A to Z, ignoring case; "Task 2" before "Task 10"
+    compare: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base', numeric: true })
+  }
+};
+
+/* Tasks of a column in display order */
+function sortTasksForView(tasks, sort){
+  const mode = COLUMN_SORTS[sort];
+  return mode && mode.compare ? tasks.slice().sort(mode.compare) : tasks;
+}
+
+/* change how a column's cards are ordered */
+function setColumnSort(key, sort){
+  const meta = getColumnMeta(key);
+  if(!meta || !COLUMN_SORTS[sort] || (meta.sort || 'manual') === sort) return;
+  recordHistory(`sort column "${meta.title}"`);
+  if(sort === 'manual') delete meta.sort;
+  else meta.sort = sort;
+  saveToStorage();
+  render();
+  announce(`${meta.title} sorted by ${COLUMN_SORTS[sort].label.toLowerCase()}.`);
+}
+
+/* A sorted column decides where its cards go, so a drag or keyboard move into it ignores the drop
+   point: cards already in the column keep their place in the manual order, cards coming from another
+   column go to its top (like new tasks), and the placeholder shows where the sort will put them. */
+
+/* Index in a sorted column's manual order (without the moving tasks) where they are put */
+function sortedDropIndex(key, movingIds){
+  const first = (board[key] || []).findIndex(t => movingIds.includes(t.id));
+  return first === -1 ? 0 : first;
+}
+
+/* Task a sorted column will show right after the moving tasks (undefined: they will come last) */
+function sortedNeighbour(key, movingIds){
+  const tasks = (board[key] || []).filter(t => !movingIds.includes(t.id));
+  tasks.splice(sortedDropIndex(key, movingIds), 0, ...movingIds.map(getTaskById));
+  const shown = sortTasksForView(tasks, getColumnMeta(key).sort);
+  return shown.slice(shown.findIndex(t => movingIds.includes(t.id)))
+    .find(t => !movingIds.includes(t.id) && (!isFilterActive() || taskMatchesFilter(t)));
+}
+
+/* Card a sorted column will show right after the moving tasks (null: they will come last) */
+function sortedNeighbourCard(key, movingIds){
+  const next = sortedNeighbour(key, movingIds);
+  return next ? boardEl.querySelector(`.task-list[data-column="${key}"] .task-card[data-id="${next.id}"]`) : null;
+}
+
+/* --- Priorities --- */
+/* A task can have a priority from P0 (most urgent) to P3, stored as task.priority = 0..3 and left out
+   when it has none. Cards show it as a coloured badge; columns can be sorted by it. */
+
+const PRIORITIES = [
+  { name: 'Critical' },
+  { name: 'High' },
+  { name: 'Medium' },
+  { name: 'Low' }
+];
+
+/* Whether a value is a priority (an integer 0..3; strings such as "1" are not) */
+function isPriority(value){
+  return Number.isInteger(value) && value >= 0 && value < PRIORITIES.length;
+}
+
+/* "P1" */
+function priorityLabel(priority){
+  return `P${priority}`;
+}
+
+/* Priority from user input ("P1", "p1" or "1"): 0..3, null for an empty value, undefined when unreadable */
+function parsePriority(value){
+  const text = String(value).trim();
+  if(!text) return null;
+  const match = text.match(/^p?([0-9])$/i);
+  return match && isPriority(Number(match[1])) ? Number(match[1]) : undefined;
+}
+
+/* Badge shown in front of a card's title */
+function createPriorityBadge(priority){
+  const badge = document.createElement('span');
+  badge.className = `task-priority p${priority}`;
+  badge.textContent = priorityLabel(priority);
+  badge.title = `Priority: ${PRIORITIES[priority].name}`;
+  badge.setAttribute('aria-hidden', 'true'); // the card's label reads the priority out
+  return badge;
+}
+
+/* --- Recurring tasks --- */
+/* A task can repeat (task.recurrence, see validateRecurrence). When a repeating task reaches the last
+   column — by drag, keyboard, bulk move or the edit dialog — it stays there with its history, and a
+   fresh copy (same title, description, tags, and checklist with every item unticked) is added to the
+   top of the first column, due on the next date of the rule. The rule moves to the copy, so moving
+   the finished task out and back again does not create a second one. */
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/* "Daily", "Weekly on Mon, Thu", "Monthly", "Every 3 days" */
+function describeRecurrence(rule){
+  switch(rule.freq){
+    case 'daily': return 'Daily';
+    case 'weekly': return `Weekly on ${rule.weekdays.map(d => WEEKDAY_NAMES[d]).join(', ')}`;
+    case 'monthly': return 'Monthly';
+    default: return `Every ${rule.every} days`;
+  }
+}
+
+/* Next due date of a rule after `due` (or after now for a task without one), never in the past */
+/* Keeps the time of day; monthly keeps the day of the month (or the month's last day) */
+function nextDueDate(rule, due){
+  const next = new Date(due || Date.now());
+  const dayOfMonth = next.getDate();
+  do {
+    if(rule.freq === 'daily'){
+      next.setDate(next.getDate() + 1);
+    } else if(rule.freq === 'interval'){
+      next.setDate(next.getDate() + rule.every);
+    } else if(rule.freq === 'monthly'){
+      next.setDate(1);
+      next.setMonth(next.getMonth() + 1);
+      const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+      next.setDate(Math.min(dayOfMonth, lastDay));
+    } else {
+      do next.setDate(next.getDate() + 1); while(!rule.weekdays.includes(next.getDay()));
+    }
+  } while(next.getTime() <= Date.now());
+  return next.toISOString();
+}
+
+/* Add the next occurrence of each repeating task that just reached the last column */
+/* (callers save; nothing happens on a board with a single column) */
+/* The first column's WIP limit applies: a task whose copy doesn't fit keeps its rule, with a warning */
+function repeatFinishedTasks(tasks){
+  if(columnsMeta.length < 2) return;
+  const first = columnsMeta[0].key;
+  const repeating = tasks.filter(t => t.recurrence);
+  const room = wipRoom(first);
+  const skipped = repeating.slice(room);
+  const created = repeating.slice(0, room).map(task => {
+    const rule = task.recurrence;
+    delete task.recurrence;
+    const due = nextDueDate(rule, task.due);
+    logActivity(task, 'repeated', { due });
+    return createTask({
+      title: task.title,
+      description: task.description,
+      column: first,
+      tags: (task.tags || []).slice(),
+      due,
+      checklist: (task.checklist || []).map(item => ({ id: genItemId(), text: item.text, done: false })),
+      recurrence: rule
+    });
+  });
+  const messages = [];
+  if(created.length){
+    messages.push(created.length === 1
+      ? `Next "${created[0].title}" added to ${getColumnTitle(first)}, ${relativeDueText(created[0].due)}.`
+      : `${created.length} repeating tasks added to ${getColumnTitle(first)}.`);
+  }
+  let warning = '';
+  if(skipped.length){
+    const meta = getColumnMeta(first);
+    const limit = `"${meta.title}" is at its WIP limit of ${meta.limit}.`;
+    warning = skipped.length === 1
+      ? `The next "${skipped[0].title}" was not added: ${limit} It keeps its repeat rule for the next time it is finished.`
+      : `${skipped.length} repeating tasks were not repeated: ${limit} They keep their repeat rules for the next time they are finished.`;
+    messages.push(warning);
+  }
+  if(messages.length === 0) return;
+  // after the move's own announcement and notification
+  setTimeout(()=>{
+    announce(`${announcer.textContent} ${messages.join(' ')}`.trim());
+    if(warning) showToast(warning, 6000, { label: 'Undo', onClick: undo });
+  }, 0);
+}
+
+/* Show the fields that belong to the chosen repeat mode (weekdays, number of days) */
+function showRepeatFields(){
+  taskRepeatEveryInput.hidden = taskRepeatSelect.value !== 'interval';
+  taskRepeatDays.hidden = taskRepeatSelect.value !== 'weekly';
+}
+
+/* Fill the modal's repeat fields from a rule (or none) */
+function fillRepeatFields(rule){
+  taskRepeatSelect.value = rule ? rule.freq : '';
+  taskRepeatEveryInput.value = rule && rule.freq === 'interval' ? rule.every : 2;
+  taskRepeatDays.querySelectorAll('input').forEach(box => {
+    box.checked = !!rule && rule.freq === 'weekly' && rule.weekdays.includes(Number(box.value));
+  });
+  showRepeatFields();
+}
+
+/* Rule from the modal's repeat fields; weekly without a ticked day repeats on the due date's weekday */
+function readRepeatFields(due){
+  const freq = taskRepeatSelect.value;
+  if(freq === 'weekly'){
+    let weekdays = Array.from(taskRepeatDays.querySelectorAll('input:checked')).map(box => Number(box.value));
+    if(weekdays.length === 0) weekdays = [new Date(due || Date.now()).getDay()];
+    return validateRecurrence({ freq, weekdays });
+  }
+  return validateRecurrence({ freq, every: parseInt(taskRepeatEveryInput.value, 10) });
+}
+
+taskRepeatSelect.addEventListener('change', showRepeatFields);
+
+/* --- Checklists --- */
+
+/* Working copy of the checklist being edited in the modal (applied on Save) */
+let modalChecklist = [];
+
+/* Number of unchecked checklist items */
+function openChecklistCount(task){
+  return (task.checklist || []).filter(item => !item.done).length;
+}
+
+/* "3/5" progress line for a card (null when the task has no checklist) */
+function createChecklistProgress(task){
+  const items = task.checklist || [];
+  if(items.length === 0) return null;
+  const done = items.length - openChecklistCount(task);
+  const wrap = document.createElement('div');
+  wrap.className = 'task-progress' + (done === items.length ? ' complete' : '');
+  wrap.setAttribute('aria-label', `${done} of ${items.length} checklist items done`);
+  const bar = document.createElement('span');
+  bar.className = 'progress-bar';
+  bar.setAttribute('aria-hidden', 'true');
+  const fill = document.createElement('span');
+  fill.style.width = `${Math.round(done / items.length * 100)}%`;
+  bar.appendChild(fill);
+  const text = document.createElement('span');
+  text.setAttribute('aria-hidden', 'true');
+  text.textContent = `${done}/${items.length}`;
+  wrap.append(bar, text);
+  return wrap;
+}
+
+/* Draw the modal's checklist rows: checkbox, text, move up/down, delete */
+function renderChecklistEditor(){
+  checklistEl.innerHTML = '';
+  modalChecklist.forEach((item, i) => {
+    const li = document.createElement('li');
+    li.className = 'checklist-item';
+
+    const check = document.createElement('input');
+    check.type = 'checkbox';
+    check.checked = item.done;
+    check.setAttribute('aria-label', `Done: ${item.text}`);
+    check.addEventListener('change', ()=>{ item.done = check.checked; });
+
+    const text = document.createElement('input');
+    text.className = 'input';
+    text.value = item.text;
+    text.setAttribute('aria-label', `Checklist item ${i + 1}`);
+    text.addEventListener('input', ()=>{ item.text = text.value; });
+    text.addEventListener('keydown', (e)=>{
+      // Enter jumps to the "add item" field instead of submitting the form
+      if(e.key === 'Enter'){
+        e.preventDefault();
+        checklistNewInput.focus();
+      }
+    });
+
+    const up = makeChecklistTool('↑', `Move "${item.text}" up`, ()=>moveChecklistItem(i, -1), i === 0);
+    const down = makeChecklistTool('↓', `Move "${item.text}" down`, ()=>moveChecklistItem(i, 1), i === modalChecklist.length - 1);
+    const del = makeChecklistTool('×', `Delete "${item.text}"`, ()=>deleteChecklistItem(i));
+
+    li.append(check, text, up, down, del);
+    checklistEl.appendChild(li);
+  });
+}
+
+/* Small icon button for a checklist row */
+function makeChecklistTool(label, ariaLabel, onClick, disabled){
+  const btn = makeColumnTool(label, ariaLabel, onClick, disabled);
+  btn.type = 'button';
+  return btn;
+}
+
+/* add the text of the "new item" field to the checklist */
+function addChecklistItem(){
+  const text = checklistNewInput.value.trim();
+  if(!text) return checklistNewInput.focus();
+  modalChecklist.push({ id: genItemId(), text, done: false });
+  checklistNewInput.value = '';
+  renderChecklistEditor();
+  checklistNewInput.focus();
+  announce(`Checklist item "${text}" added.`);
+}
+
+/* move a checklist item up (-1) or down (1), keeping focus on the same button */
+function moveChecklistItem(index, delta){
+  const target = index + delta;
+  if(target < 0 || target >= modalChecklist.length) return;
+  const [item] = modalChecklist.splice(index, 1);
+  modalChecklist.splice(target, 0, item);
+  renderChecklistEditor();
+  const buttons = checklistEl.children[target].querySelectorAll('button');
+  const btn = buttons[delta < 0 ? 0 : 1];
+  (btn.disabled ? buttons[delta < 0 ? 1 : 0] : btn).focus();
+  announce(`"${item.text}" moved to position ${target + 1} of ${modalChecklist.length}.`);
+}
+
+/* remove a checklist item */
+function deleteChecklistItem(index){
+  const [item] = modalChecklist.splice(index, 1);
+  renderChecklistEditor();
+  const next = checklistEl.children[Math.min(index, modalChecklist.length - 1)];
+  (next ? next.querySelector('input.input') : checklistNewInput).focus();
+  announce(`Checklist item "${item.text}" deleted.`);
+}
+
+checklistAddBtn.addEventListener('click', addChecklistItem);
+checklistNewInput.addEventListener('keydown', (e)=>{
+  // Enter adds the item instead of submitting the form
+  if(e.key === 'Enter'){
+    e.preventDefault();
+    addChecklistItem();
+  }
+});
+
+/* With the preference on, confirm moving tasks with open checklist items into the last column */
+/* Returns false when the user cancels the move */
+function confirmOpenChecklists(tasks, toCol){
+  if(!prefs.confirmOpenChecklist || !isFinalColumn(toCol)) return true;
+  const open = tasks.filter(t => t && t.column !== toCol && openChecklistCount(t) > 0);
+  if(open.length === 0) return true;
+  const columnTitle = getColumnTitle(toCol);
+  const message = open.length === 1
+    ? `"${open[0].title}" still has ${openChecklistCount(open[0])} open checklist item(s). Move it to ${columnTitle} anyway?`
+    : `${open.length} tasks still have open checklist items. Move them to ${columnTitle} anyway?`;
+  return confirm(message);
+}
+
+prefConfirmChecklist.addEventListener('change', ()=>{
+  prefs.confirmOpenChecklist = prefConfirmChecklist.checked;
+  savePrefs();
+});
+
+/* --- Task activity --- */
+/* Every task keeps an append-only log of what happened to it, shown as a timeline in the edit modal:
+   { type: 'created', at, column }            created (column missing for tasks older than the log)
+   { type: 'edited', at, field, from, to }    title or description changed (before/after text)
+   { type: 'moved', at, from, to }            changed columns (column keys)
+   { type: 'board', at, from, to, column }    moved to another board (board names, target column key)
+   { type: 'restored', at }                   brought back from the archive or the trash (or by undo)
+   { type: 'archived', at }                   archived from the last column
+   { type: 'deleted', at }                    moved to the trash
+   { type: 'repeated', at, due }              finished; the next occurrence was created, due `due` */
+
+/* Entry types understood by the timeline (others are dropped on load) */
+const ACTIVITY_TYPES = ['created', 'edited', 'moved', 'board', 'restored', 'archived', 'deleted', 'repeated'];
+
+/* Append an entry to a task's activity log */
+function logActivity(task, type, details){
+  task.activity = task.activity || [];
+  task.activity.push({ type, at: nowISO(), ...details });
+}
+
+/* Note a column change before task.column is overwritten (reordering within a column is not logged) */
+function logColumnChange(task, toCol){
+  if(task.column !== toCol) logActivity(task, 'moved', { from: task.column, to: toCol });
+}
+
+/* Set the title or description, logging the before/after text when it changes */
+function setLoggedField(task, field, value){
+  if(value === undefined || task[field] === value) return;
+  logActivity(task, 'edited', { field, from: task[field] || '', to: value });
+  task[field] = value;
+}
+
+/* Column name for the timeline (columns may have been deleted since) */
+function activityColumnName(key){
+  const meta = getColumnMeta(key);
+  return meta ? `"${meta.title}"` : 'a deleted column';
+}
+
+/* One-line description of an activity entry */
+function describeActivity(entry){
+  switch(entry.type){
+    case 'created': return entry.column ? `Created in ${activityColumnName(entry.column)}` : 'Created';
+    case 'edited': return entry.field === 'title' ? 'Title changed' : 'Description changed';
+    case 'moved': return `Moved from ${activityColumnName(entry.from)} to ${activityColumnName(entry.to)}`;
+    case 'board': return `Moved from board "${entry.from}" to "${entry.to}"`;
+    case 'restored': return 'Restored';
+    case 'archived': return 'Archived';
+    case 'deleted': return 'Moved to the trash';
+    case 'repeated': return `Next occurrence created, due ${new Date(entry.due).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}`;
+    default: return entry.type;
+  }
+}
+
+/* Draw the before/after text of an edit ("(empty)" for blank values) */
+function createActivityChange(entry){
+  const change = document.createElement('div');
+  change.className = 'activity-change';
+  [['Before', entry.from], ['After', entry.to]].forEach(([label, text]) => {
+    const row = document.createElement('div');
+    const name = document.createElement('span');
+    name.className = 'activity-change-label';
+    name.textContent = `${label}: `;
+    const value = document.createElement('span');
+    value.className = 'activity-change-text';
+    value.textContent = text || '(empty)';
+    row.append(name, value);
+    change.appendChild(row);
+  });
+  return change;
+}
+
+/* Fill the modal's activity timeline (newest first) for the task being edited */
+function renderActivityTimeline(task){
+  taskActivityEl.innerHTML = '';
+  const entries = (task.activity || []).slice().reverse();
+  taskActivityRow.hidden = entries.length === 0;
+  entries.forEach(entry => {
+    const li = document.createElement('li');
+    li.className = `activity-entry activity-${entry.type}`;
+    const time = document.createElement('time');
+    time.dateTime = entry.at;
+    time.textContent = new Date(entry.at).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    const text = document.createElement('span');
+    text.textContent = describeActivity(entry);
+    li.append(time, text);
+    if(entry.type === 'edited') li.appendChild(createActivityChange(entry));
+    taskActivityEl.appendChild(li);
+  });
+}
+
+/* --- Tags --- */
+
+/* Look up a tag by id */
+function getTagMeta(id){
+  return tagsMeta.find(t => t.id === id) || null;
+}
+
+/* Find a tag by name (case-insensitive) */
+function findTagByName(name){
+  const lower = name.trim().toLowerCase();
+  return tagsMeta.find(t => t.name.toLowerCase() === lower) || null;
+}
+
+/* Generate unique tag id: 'g_' prefix + random alphanumeric string */
+function genTagId(){
+  let id;
+  do { id = 'g_' + Math.random().toString(36).slice(2,8); } while(getTagMeta(id));
+  return id;
+}
+
+/* Next palette color for a new tag */
+function nextTagColor(){
+  return TAG_COLORS[tagsMeta.length % TAG_COLORS.length];
+}
+
+/* Add a tag to the palette and return it (callers record history and save) */
+function createTag(name, color){
+  const tag = { id: genTagId(), name: name.trim(), color: color || nextTagColor() };
+  tagsMeta.push(tag);
+  return tag;
+}
+
+/* Readable text color (dark or white) on a tag's background */
+function tagTextColor(hex){
+  const n = parseInt(hex.slice(1), 16);
+  const luminance = (0.299 * (n >> 16) + 0.587 * ((n >> 8) & 255) + 0.114 * (n & 255)) / 255;
+  return luminance > 0.6 ? '#0F172A' : '#FFFFFF';
+}
+
+/* Style an element as a chip in a tag's color */
+function paintTagChip(el, tag){
+  el.style.background = tag.color;
+  el.style.color = tagTextColor(tag.color);
+}
+
+/* Colored tag chips for a card (null when the task has no tags); clicking a chip filters by it */
+function createTagChips(task){
+  const tags = (task.tags || []).map(getTagMeta).filter(Boolean);
+  if(tags.length === 0) return null;
+  const wrap = document.createElement('div');
+  wrap.className = 'task-tags';
+  tags.forEach(tag => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'tag-chip';
+    chip.textContent = tag.name;
+    chip.title = `Show only tasks tagged "${tag.name}"`;
+    chip.setAttribute('aria-label', `Filter by tag ${tag.name}`);
+    chip.setAttribute('aria-pressed', String(activeTagFilter === tag.id));
+    paintTagChip(chip, tag);
+    chip.addEventListener('click', (e)=>{
+      e.stopPropagation();
+      setTagFilter(activeTagFilter === tag.id ? null : tag.id);
+    });
+    wrap.appendChild(chip);
+  });
+  return wrap;
+}
+
+/* Show only tasks with a tag (null shows all again) */
+function setTagFilter(tagId){
+  activeTagFilter = tagId && getTagMeta(tagId) ? tagId : null;
+  renderTagFilterPill();
+  render();
+  announceSearchResults();
+}
+
+/* Show or hide the "Tag: x ×" indicator for the active tag filter */
+function renderTagFilterPill(){
+  const tag = activeTagFilter && getTagMeta(activeTagFilter);
+  if(!tag) activeTagFilter = null;
+  tagFilterPill.hidden = !tag;
+  if(tag){
+    tagFilterPill.textContent = `Tag: ${tag.name} ×`;
+    tagFilterPill.setAttribute('aria-label', `Filtering by tag ${tag.name}. Clear tag filter`);
+    paintTagChip(tagFilterPill, tag);
+  }
+}
+
+/* clicking the indicator clears the tag filter */
+tagFilterPill.addEventListener('click', ()=>setTagFilter(null));
+
+/* Tags toggled on in the task modal (ids) */
+let modalTagIds = new Set();
+
+/* Draw the modal's tag toggles from the palette */
+function renderTagPicker(){
+  taskTagPicker.innerHTML = '';
+  if(tagsMeta.length === 0){
+    const hint = document.createElement('span');
+    hint.className = 'field-hint';
+    hint.textContent = 'No tags yet.';
+    taskTagPicker.appendChild(hint);
+    return;
+  }
+  tagsMeta.forEach(tag => {
+    const on = modalTagIds.has(tag.id);
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'tag-chip tag-toggle';
+    btn.textContent = tag.name;
+    btn.setAttribute('aria-pressed', String(on));
+    if(on) paintTagChip(btn, tag);
+    else btn.style.borderColor = tag.color;
+    btn.addEventListener('click', ()=>{
+      if(modalTagIds.has(tag.id)) modalTagIds.delete(tag.id);
+      else modalTagIds.add(tag.id);
+      renderTagPicker();
+      taskTagPicker.querySelectorAll('.tag-toggle')[tagsMeta.indexOf(tag)].focus();
+    });
+    taskTagPicker.appendChild(btn);
+  });
+}
+
+/* Selected modal tags in palette order */
+function pickedTagIds(){
+  return tagsMeta.filter(t => modalTagIds.has(t.id)).map(t => t.id);
+}
+
+/* Element focused before the tag manager opened (focus returns there) */
+let tagsReturnFocus = null;
+
+/* Open the tag manager dialog */
+function openTagManager(){
+  tagsReturnFocus = document.activeElement;
+  renderTagManager();
+  newTagColorInput.value = nextTagColor();
+  tagsBackdrop.style.display = 'flex';
+  tagsBackdrop.setAttribute('aria-hidden','false');
+  newTagNameInput.focus();
+}
+
+/* Close the tag manager (refreshing the task modal's picker if it is open underneath) */
+function closeTagManager(){
+  tagsBackdrop.style.display = 'none';
+  tagsBackdrop.setAttribute('aria-hidden','true');
+  renderTagPicker();
+  if(tagsReturnFocus && tagsReturnFocus.isConnected) tagsReturnFocus.focus();
+  tagsReturnFocus = null;
+}
+
+/* Draw one editable row (color, name, delete) per tag in the manager */
+function renderTagManager(){
+  tagListEl.innerHTML = '';
+  if(tagsMeta.length === 0){
+    const empty = document.createElement('li');
+    empty.className = 'field-hint';
+    empty.textContent = 'No tags yet — add one below.';
+    tagListEl.appendChild(empty);
+  }
+  tagsMeta.forEach(tag => {
+    const li = document.createElement('li');
+    li.className = 'tag-row';
+    const used = allTasks().filter(t => (t.tags || []).includes(tag.id)).length;
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.value = tag.color;
+    color.setAttribute('aria-label', `Color of tag ${tag.name}`);
+    color.addEventListener('change', ()=>recolorTag(tag.id, color.value));
+
+    const name = document.createElement('input');
+    name.className = 'input';
+    name.value = tag.name;
+    name.setAttribute('aria-label', `Name of tag ${tag.name}`);
+    name.addEventListener('change', ()=>renameTag(tag.id, name.value));
+
+    const count = document.createElement('span');
+    count.className = 'field-hint';
+    count.textContent = `${used} task(s)`;
+
+    const del = document.createElement('button');
+    del.type = 'button';
+    del.className = 'secondary danger';
+    del.textContent = 'Delete';
+    del.setAttribute('aria-label', `Delete tag ${tag.name}`);
+    del.addEventListener('click', ()=>deleteTag(tag.id));
+
+    li.append(color, name, count, del);
+    tagListEl.appendChild(li);
+  });
+}
+
+/* Save, redraw the board and the manager after a palette change */
+function afterTagChange(message){
+  saveToStorage();
+  renderTagFilterPill();
+  render();
+  renderTagManager();
+  renderTagPicker();
+  showUndoToast(message);
+  announce(message);
+}
+
+/* rename a tag; every task using it shows the new name (tasks reference tags by id) */
+function renameTag(id, value){
+  const tag = getTagMeta(id);
+  const name = value.trim();
+  if(!tag || name === tag.name) return;
+  if(!name) return renderTagManager();
+  const clash = findTagByName(name);
+  if(clash && clash.id !== id){
+    showToast(`A tag named "${clash.name}" already exists.`);
+    return renderTagManager();
+  }
+  recordHistory(`rename tag "${tag.name}"`);
+  const oldName = tag.name;
+  tag.name = name;
+  afterTagChange(`Tag "${oldName}" renamed to "${name}".`);
+}
+
+/* change a tag's color */
+function recolorTag(id, color){
+  const tag = getTagMeta(id);
+  if(!tag || color === tag.color) return;
+  recordHistory(`recolor tag "${tag.name}"`);
+  tag.color = color;
+  afterTagChange(`Tag "${tag.name}" color changed.`);
+}
+
+/* delete a tag and remove it from every task that uses it */
+function deleteTag(id){
+  const tag = getTagMeta(id);
+  if(!tag) return;
+  const users = allTasks().filter(t => (t.tags || []).includes(id));
+  if(users.length && !confirm(`Delete tag "${tag.name}"? It will be removed from ${users.length} task(s).`)) return;
+  recordHistory(`delete tag "${tag.name}"`);
+  const now = nowISO();
+  users.forEach(t => {
+    t.tags = t.tags.filter(x => x !== id);
+    t.updatedAt = now;
+  });
+  tagsMeta = tagsMeta.filter(t => t.id !== id);
+  modalTagIds.delete(id);
+  afterTagChange(`Tag "${tag.name}" deleted` + (users.length ? ` and removed from ${users.length} task(s).` : '.'));
+}
+
+/* add a tag from the manager's form */
+newTagForm.addEventListener('submit', (e)=>{
+  e.preventDefault();
+  const name = newTagNameInput.value.trim();
+  if(!name) return newTagNameInput.focus();
+  if(findTagByName(name)){
+    showToast(`A tag named "${name}" already exists.`);
+    return newTagNameInput.focus();
+  }
+  recordHistory(`add tag "${name}"`);
+  createTag(name, newTagColorInput.value);
+  newTagNameInput.value = '';
+  afterTagChange(`Tag "${name}" added.`);
+  newTagColorInput.value = nextTagColor();
+  newTagNameInput.focus();
+});
+
+/* tag manager open/close */
+manageTagsBtn.addEventListener('click', openTagManager);
+modalManageTagsBtn.addEventListener('click', openTagManager);
+closeTagsBtn.addEventListener('click', closeTagManager);
+tagsBackdrop.addEventListener('click', (e)=>{
+  if(e.target === tagsBackdrop) closeTagManager();
+});
+
+/* --- Multi-select & bulk actions --- */
+
+/* Ids of selected cards (ctrl/cmd-click, shift-click or Space) */
+let selectedIds = new Set();
+/* Last card toggled; shift-click selects the range from here */
+let selectionAnchorId = null;
+/* Ignore the click that ends a drag */
+let suppressClickUntil = 0;
+
+/* Fields the bulk bar can set on every selected task: { label, apply(task, value) } */
+const BULK_FIELDS = {
+  description: { label: 'Description', apply: (task, value) => { setLoggedField(task, 'description', value.trim()); } },
+  addTag: {
+    label: 'Add tag',
+    // value is a tag name; unknown names create the tag
+    apply: (task, value) => {
+      if(!value.trim()) return;
+      const tag = findTagByName(value) || createTag(value);
+      if(!task.tags.includes(tag.id)) task.tags.push(tag.id);
+    }
+  },
+  priority: {
+    label: 'Priority',
+    // value is P0–P3 (or 0–3); empty clears the priority, anything else is ignored
+    apply: (task, value) => {
+      const priority = parsePriority(value);
+      if(priority === null) delete task.priority;
+      else if(priority !== undefined) task.priority = priority;
+    }
+  },
+  removeTag: {
+    label: 'Remove tag',
+    apply: (task, value) => {
+      const tag = findTagByName(value);
+      if(tag) task.tags = task.tags.filter(id => id !== tag.id);
+    }
+  }
+};
+
+/* Selected ids in board order (column by column, top to bottom) */
+function orderedSelection(){
+  return allTasks().filter(t => selectedIds.has(t.id)).map(t => t.id);
+}
+
+/* Sync card highlight and the bulk bar with selectedIds (no re-render, so focus stays put) */
+function refreshSelectionUI(){
+  const tasks = new Map(allTasks().map(t => [t.id, t]));
+  // forget selected tasks that no longer exist (deleted, undone, other board)
+  selectedIds.forEach(id => { if(!tasks.has(id)) selectedIds.delete(id); });
+  // only cards whose state changed are touched (new cards are drawn unselected)
+  boardEl.querySelectorAll('.task-card').forEach(card => {
+    const selected = selectedIds.has(card.dataset.id);
+    if(card.classList.contains('selected') === selected) return;
+    card.classList.toggle('selected', selected);
+    const task = tasks.get(card.dataset.id);
+    if(task) card.setAttribute('aria-label', cardAriaLabel(task, selected));
+  });
+  bulkBar.hidden = selectedIds.size === 0;
+  bulkCount.textContent = `${selectedIds.size} selected`;
+}
+
+/* Add or remove one card from the selection */
+function toggleSelection(id){
+  if(selectedIds.has(id)) selectedIds.delete(id);
+  else selectedIds.add(id);
+  selectionAnchorId = id;
+  refreshSelectionUI();
+  const task = getTaskById(id);
+  announce(`Task "${task.title}" ${selectedIds.has(id) ? 'selected' : 'deselected'}. ${selectedIds.size} selected.`);
+}
+
+/* Select every card between the anchor and id (same column only; otherwise just toggles id) */
+function selectRange(id){
+  const task = getTaskById(id);
+  const anchor = selectionAnchorId && getTaskById(selectionAnchorId);
+  if(!anchor || anchor.column !== task.column) return toggleSelection(id);
+  // the cards as the column shows them: sorted, and only those matching the current search
+  const list = columnViews.get(task.column).visible;
+  const [from, to] = [list.indexOf(anchor), list.indexOf(task)].sort((a,b) => a - b);
+  if(from === -1) return toggleSelection(id);
+  list.slice(from, to + 1).forEach(t => selectedIds.add(t.id));
+  refreshSelectionUI();
+  announce(`${to - from + 1} tasks selected. ${selectedIds.size} selected.`);
+}
+
+/* Empty the selection */
+function clearSelection(){
+  if(selectedIds.size === 0) return;
+  selectedIds.clear();
+  selectionAnchorId = null;
+  refreshSelectionUI();
+  announce('Selection cleared.');
+}
+
+/* card click: ctrl/cmd toggles, shift selects a range, a plain click clears the selection */
+function handleCardClick(e){
+  if(Date.now() < suppressClickUntil) return;
+  const id = e.currentTarget.dataset.id;
+  if(e.ctrlKey || e.metaKey) toggleSelection(id);
+  else if(e.shiftKey) selectRange(id);
+  else clearSelection();
+}
+
+/* Move every selected task to the end of a column */
+function bulkMove(toCol){
+  const ids = orderedSelection();
+  if(ids.length === 0) return;
+  if(!checkWipLimit(toCol, incomingCount(ids.map(getTaskById), toCol))) return;
+  if(!confirmOpenChecklists(ids.map(getTaskById), toCol)) return;
+  recordHistory(`move ${ids.length} tasks`);
+  moveTasksTo(ids, toCol, board[toCol].filter(t => !ids.includes(t.id)).length);
+  render();
+  const message = `${ids.length} task(s) moved to ${getColumnTitle(toCol)}.`;
+  showUndoToast(message);
+  announce(message);
+}
+
+/* Delete every selected task */
+function bulkDelete(){
+  const ids = orderedSelection();
+  if(ids.length === 0) return;
+  recordHistory(`delete ${ids.length} tasks`);
+  ids.map(getTaskById).forEach(moveToTrash);
+  saveToStorage();
+  selectedIds.clear();
+  render();
+  const message = `${ids.length} task(s) moved to the trash.`;
+  showUndoToast(message);
+  announce(message);
+}
+
+/* Archive the selected tasks that are in the last column (others stay selected) */
+function bulkArchive(){
+  const ids = orderedSelection();
+  if(ids.length === 0) return;
+  const count = archiveTasks(ids);
+  if(!count) return;
+  ids.forEach(id => {
+    if(!getTaskById(id)) selectedIds.delete(id);
+  });
+  render();
+  const skipped = ids.length - count;
+  const message = `${count} task(s) archived.` + (skipped ? ` ${skipped} not in the last column were left on the board.` : '');
+  showUndoToast(message);
+  announce(message);
+}
+
+/* Set one field to the same value on every selected task */
+function bulkSetField(field, value){
+  const ids = orderedSelection();
+  const def = BULK_FIELDS[field];
+  if(ids.length === 0 || !def) return;
+  recordHistory(`edit ${ids.length} tasks`);
+  const now = nowISO();
+  ids.forEach(id => {
+    const task = getTaskById(id);
+    def.apply(task, value);
+    task.updatedAt = now;
+  });
+  saveToStorage();
+  render();
+  const message = `${def.label} updated on ${ids.length} task(s).`;
+  showUndoToast(message);
+  announce(message);
+}
+
+/* Fill the bulk "set field" dropdown from BULK_FIELDS */
+function renderBulkFieldOptions(){
+  bulkFieldSelect.innerHTML = '';
+  Object.keys(BULK_FIELDS).forEach(key => {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = BULK_FIELDS[key].label;
+    bulkFieldSelect.appendChild(opt);
+  });
+}
+
+/* bulk bar buttons */
+document.getElementById('bulkMoveBtn').addEventListener('click', ()=>bulkMove(bulkColumnSelect.value));
+document.getElementById('bulkArchiveBtn').addEventListener('click', bulkArchive);
+document.getElementById('bulkDeleteBtn').addEventListener('click', bulkDelete);
+document.getElementById('bulkApplyBtn').addEventListener('click', ()=>{
+  bulkSetField(bulkFieldSelect.value, bulkValueInput.value);
+  bulkValueInput.value = '';
+});
+document.getElementById('bulkClearBtn').addEventListener('click', clearSelection);
+
+/* --- Quick add --- */
+/* The title box in the controls row understands a compact syntax, so one line can fill in more than
+   the title:  Fix login #bug !p1 @inprogress due:fri
+   - #name     tag (an existing tag, matched ignoring case, or a new one; "#123" stays text)
+   - !p0..!p3  priority
+   - @column   column, by key or title ignoring case and spaces ("@inprogress", "@done"), or the start
+               of one if only one column starts that way; overrides the column dropdown
+   - due:when  due date: today, tomorrow, a weekday (mon..sun, the next one still ahead), +3d / +2w,
+               or 2025-11-20; due at QUICK_ADD_DUE_HOUR o'clock
+   Words that don't match stay in the title (so "ask @bob" or "due:someday" are kept as typed), and a
+   line that would leave no title is added as typed. A preview under the box shows what was understood.
+   Pasting several lines adds one task per line (list bullets and checkboxes are dropped). */
+
+const QUICK_ADD_DUE_HOUR = 17;    // local time of due dates set with due:
+const QUICK_ADD_MAX_LINES = 50;   // most tasks one paste can add
+const QUICK_ADD_WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/* Comparable form of a column key or title: lower case without spaces, dashes or underscores */
+function columnMatchKey(text){
+  return text.toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+/* Column meant by an @word, or null */
+function findQuickAddColumn(word){
+  const wanted = columnMatchKey(word);
+  if(!wanted) return null;
+  const names = meta => [columnMatchKey(meta.key), columnMatchKey(meta.title)];
+  const exact = columnsMeta.find(meta => names(meta).includes(wanted));
+  if(exact) return exact;
+  const starts = columnsMeta.filter(meta => names(meta).some(name => name.startsWith(wanted)));
+  return starts.length === 1 ? starts[0] : null;
+}
+
+/* ISO due date for the text after due:, or null when it can't be read */
+function parseQuickAddDue(text, now = new Date()){
+  const word = text.toLowerCase();
+  const at = (date, days) => {
+    const d = new Date(date);
+    d.setDate(d.getDate() + days);
+    d.setHours(QUICK_ADD_DUE_HOUR, 0, 0, 0);
+    return d;
+  };
+  let due = null;
+  if(word === 'today') due = at(now, 0);
+  else if(word === 'tomorrow' || word === 'tmr') due = at(now, 1);
+  else if(/^\+?\d{1,3}[dw]$/.test(word)) due = at(now, parseInt(word.replace('+', ''), 10) * (word.endsWith('w') ? 7 : 1));
+  else if(/^\d{4}-\d{2}-\d{2}$/.test(word)){
+    const [y, m, d] = word.split('-').map(Number);
+    due = new Date(y, m - 1, d, QUICK_ADD_DUE_HOUR);
+    if(due.getMonth() !== m - 1) due = null; // 2025-02-30
+  } else {
+    // "fri", "thurs", "wednesday"...
+    const weekday = QUICK_ADD_WEEKDAYS.findIndex(name => word.length >= 3 && name.startsWith(word));
+    if(weekday !== -1){
+      for(let days = 0; days <= 7 && !due; days++){
+        const candidate = at(now, days);
+        if(candidate.getDay() === weekday && candidate > now) due = candidate;
+      }
+    }
+  }
+  return due && !isNaN(due) ? due.toISOString() : null;
+}
+
+/* What a quick-add line asks for: { title, column?, priority?, due?, tags: [names] }
+   `matched` tells whether any of the syntax was used */
+function parseQuickAdd(line){
+  const result = { title: '', tags: [], matched: false };
+  const words = [];
+  line.trim().split(/\s+/).forEach(word => {
+    let match;
+    if((match = word.match(/^#(.*\D.*)$/))){
+      if(!result.tags.some(name => name.toLowerCase() === match[1].toLowerCase())) result.tags.push(match[1]);
+    } else if((match = word.match(/^!p([0-3])$/i))){
+      result.priority = Number(match[1]);
+    } else if(word.startsWith('@') && findQuickAddColumn(word.slice(1))){
+      result.column = findQuickAddColumn(word.slice(1)).key;
+    } else if((match = word.match(/^due:(.+)$/i)) && parseQuickAddDue(match[1])){
+      result.due = parseQuickAddDue(match[1]);
+    } else {
+      words.push(word);
+      return;
+    }
+    result.matched = true;
+  });
+  result.title = words.join(' ');
+  // nothing left for a title: take the line as it is
+  if(!result.title) return { title: line.trim(), tags: [], matched: false };
+  return result;
+}
+
+/* A pasted line without its list marker ("- ", "* ", "1. ", "- [ ] ") */
+function stripListMarker(line){
+  return line.trim().replace(/^(?:[-*+•]|\d+[.)])\s+(?:\[[ xX]\]\s+)?/, '').trim();
+}
+
+/* Show what the quick-add box has understood so far (hidden while it is just a title) */
+function renderQuickAddPreview(){
+  const parsed = parseQuickAdd(titleInputInline.value);
+  quickAddPreview.innerHTML = '';
+  quickAddPreview.hidden = !parsed.matched;
+  if(!parsed.matched) return;
+  const parts = [['Title', parsed.title]];
+  if(parsed.column) parts.push(['Column', getColumnTitle(parsed.column)]);
+  if(parsed.priority !== undefined) parts.push(['Priority', `${priorityLabel(parsed.priority)} – ${PRIORITIES[parsed.priority].name}`]);
+  if(parsed.due) parts.push(['Due', new Date(parsed.due).toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })]);
+  if(parsed.tags.length) parts.push(['Tags', parsed.tags.map(name => findTagByName(name) ? name : `${name} (new)`).join(', ')]);
+  parts.forEach(([label, value]) => {
+    const part = document.createElement('span');
+    part.className = 'quick-add-part';
+    const name = document.createElement('span');
+    name.className = 'quick-add-label';
+    name.textContent = `${label}: `;
+    part.append(name, value);
+    quickAddPreview.appendChild(part);
+  });
+}
+
+/* Add one task per quick-add line (a single undo step); returns false when a WIP limit refused them */
+function addQuickTasks(lines){
+  const parsed = lines.map(parseQuickAdd).filter(p => p.title);
+  if(parsed.length === 0) return false;
+  parsed.forEach(p => { p.column = p.column || columnSelectInline.value; });
+  const perColumn = {};
+  parsed.forEach(p => { perColumn[p.column] = (perColumn[p.column] || 0) + 1; });
+  if(!Object.keys(perColumn).every(key => checkWipLimit(key, perColumn[key]))) return false;
+  recordHistory(parsed.length > 1 ? `add ${parsed.length} tasks` : `create "${parsed[0].title}"`);
+  // created last to first, so the lines keep their order at the top of their columns
+  parsed.slice().reverse().forEach(p => {
+    const tags = p.tags.map(name => (findTagByName(name) || createTag(name)).id);
+    createTask({ title: p.title, column: p.column, tags, due: p.due || null, priority: p.priority });
+  });
+  saveToStorage();
+  render();
+  if(parsed.length > 1){
+    showUndoToast(`${parsed.length} tasks added`);
+    announce(`${parsed.length} tasks added.`);
+  } else {
+    showUndoToast('Saved');
+    announce(`Task "${parsed[0].title}" added to ${getColumnTitle(parsed[0].column)}.`);
+  }
+  return true;
+}
+
+/* Add Task button: adds what is typed, or opens the task dialog when the box is empty */
+openCreateBtn.addEventListener('click', ()=>{
+  const text = titleInputInline.value.trim();
+  if(text){
+    if(addQuickTasks([text])){
+      titleInputInline.value = '';
+      renderQuickAddPreview();
+    }
+    return;
+  }
+  // if no inline title, open modal
+  openModalForCreate(columnSelectInline.value);
+});
+
+/* Enter in the box adds the task too */
+titleInputInline.addEventListener('keydown', (e)=>{
+  if(e.key !== 'Enter' || e.isComposing || !titleInputInline.value.trim()) return;
+  e.preventDefault();
+  openCreateBtn.click();
+});
+
+titleInputInline.addEventListener('input', renderQuickAddPreview);
+
+/* Pasting several lines adds them straight away, one task each (Undo takes them all back) */
+titleInputInline.addEventListener('paste', (e)=>{
+  const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+  const lines = text.split(/\r?\n/).map(stripListMarker).filter(Boolean);
+  if(lines.length < 2) return; // a single line is pasted into the box as usual
+  e.preventDefault();
+  if(lines.length > QUICK_ADD_MAX_LINES){
+    showToast(`That's ${lines.length} lines; paste at most ${QUICK_ADD_MAX_LINES} tasks at once.`, 4000);
+    return;
+  }
+  addQuickTasks(lines);
+});
+
+/* clear storage button: every task (archived ones too) goes to the trash; the columns and tags stay,
+   so the tasks can be restored to their own column with their tags */
+clearStorageBtn.addEventListener('click', ()=>{
+  if(confirm('Move all tasks to the trash?')) {
+    recordHistory('clear saved data');
+    allTasks().forEach(moveToTrash);
+    archive.slice().forEach(t => shelveTask(t, 'trash'));
+    saveToStorage();
+    renderTagFilterPill();
+    render();
+    showUndoToast('Board cleared; tasks moved to the trash');
+    announce('Board cleared. All tasks were moved to the trash.');
+  }
+});
+
+/* --- Import / Export (JSON) --- */
+
+/* Parsed import waiting for the user to pick replace or merge */
+let pendingImport = null;
+
+/* Trigger a browser download of text content */
+function downloadFile(filename, content, type){
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(()=>URL.revokeObjectURL(url), 0);
+}
+
+/* File name prefix for exports, e.g. 'draggable-todo-team-board' */
+function exportBaseName(){
+  const slug = getBoardMeta(currentBoardId).name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return slug ? `draggable-todo-${slug}` : 'draggable-todo';
+}
+
+/* Export the whole board (columns + tasks) as a versioned JSON file */
+function exportBoardJSON(){
+  const payload = { ...buildPayload(), exportedAt: nowISO() };
+  const date = nowISO().slice(0,10);
+  downloadFile(`${exportBaseName()}-${date}.json`, JSON.stringify(payload, null, 2), 'application/json');
+  showToast('Board exported');
+  announce('Board exported as JSON file.');
+}
+
+/* Parse and validate an exported board file with the same migrations/validation used on load */
+/* Returns { columns, board, rejected }; throws with a readable message if the file is unusable */
+function parseBoardFile(text){
+  let parsed;
+  try{
+    parsed = JSON.parse(text);
+  }catch(e){
+    throw new Error('File is not valid JSON.');
+  }
+  try{
+    return validatePayload(migratePayload(parsed));
+  }catch(e){
+    throw new Error(`File is not a board export (${e.message}).`);
+  }
+}
+
+/* Count tasks in a { [columnKey]: [...] } map */
+function countTasks(tasksByColumn){
+  return Object.keys(tasksByColumn).reduce((n, key) => n + tasksByColumn[key].length, 0);
+}
+
+/* Show the import options dialog for a parsed file */
+function openImportDialog(result, fileName){
+  pendingImport = result;
+  const skipped = result.rejected.length ? ` ${result.rejected.length} invalid task(s) will be skipped.` : '';
+  importSummary.textContent = `"${fileName}" contains ${countTasks(result.board)} task(s) in ${result.columns.length} column(s).${skipped}`;
+  importForm.elements.importMode.value = 'merge';
+  importBackdrop.style.display = 'flex';
+  importBackdrop.setAttribute('aria-hidden','false');
+  importForm.querySelector('input[name="importMode"]:checked').focus();
+}
+
+/* Close the import dialog and forget the pending file */
+function closeImportDialog(){
+  pendingImport = null;
+  importFileInput.value = '';
+  importBackdrop.style.display = 'none';
+  importBackdrop.setAttribute('aria-hidden','true');
+  importBtn.focus();
+}
+
+/* Replace the current board with an imported one */
+function applyImportReplace(result){
+  recordHistory('import (replace)');
+  useBoardData(result);
+  return `Board replaced: ${countTasks(board)} task(s) imported.`;
+}
+
+/* Merge an imported board into the current one */
+/* - columns missing locally are appended with their settings (existing columns keep their local name,
+     position, sort mode and WIP limit) */
+/* - the file's archive and trash are merged into the local ones the same way as its columns */
+/* - same id and same createdAt = same task (on the board, in the archive or in the trash): the copy with the
+     newer updatedAt wins, and goes where that copy is */
+/* - same id but a different task (genId() collision): the imported task gets a fresh id */
+function applyImportMerge(result){
+  recordHistory('import (merge)');
+  let added = 0, updated = 0, renamed = 0;
+
+  result.columns.forEach(c => {
+    if(!getColumnMeta(c.key)){
+      columnsMeta.push({ ...c });
+      board[c.key] = [];
+    }
+  });
+
+  // incoming lists paired with the local list they are merged into
+  const lists = result.columns.map(({key}) => [result.board[key], board[key]])
+    .concat([[result.archive, archive], [result.trash, trash]]);
+
+  // tags: same id = same tag; otherwise reuse a local tag with the same name, or add the imported one
+  const tagIdMap = {};
+  result.tags.forEach(tag => {
+    const local = getTagMeta(tag.id) || findTagByName(tag.name);
+    if(local){
+      tagIdMap[tag.id] = local.id;
+    } else {
+      tagsMeta.push({ ...tag });
+      tagIdMap[tag.id] = tag.id;
+    }
+  });
+  lists.forEach(([incoming]) => incoming.forEach(t => { t.tags = t.tags.map(id => tagIdMap[id]); }));
+
+  // local list holding a task id (board column, archive or trash), if any
+  const localLists = columnsMeta.map(({key}) => board[key]).concat([archive, trash]);
+  const localList = id => localLists.find(list => list.some(t => t.id === id));
+  const incomingIds = new Set(lists.flatMap(([incoming]) => incoming.map(t => t.id)));
+
+  lists.forEach(([incomingList, target]) => {
+    incomingList.forEach(incoming => {
+      const from = localList(incoming.id);
+      const local = from && from.find(t => t.id === incoming.id);
+      if(local && local.createdAt === incoming.createdAt){
+        if(Date.parse(incoming.updatedAt) <= Date.parse(local.updatedAt)) return; // local copy is newer
+        const idx = from.indexOf(local);
+        if(from === target){
+          from.splice(idx, 1, incoming);
+        } else {
+          from.splice(idx, 1);
+          target.push(incoming);
+        }
+        updated++;
+        return;
+      }
+      if(local){
+        // Different task that happens to share the id: give the imported one a new id
+        let id;
+        do { id = genId(); } while(localList(id) || incomingIds.has(id));
+        incoming.id = id;
+        renamed++;
+      }
+      target.push(incoming);
+      added++;
+    });
+  });
+  // the archive and trash are kept newest first
+  archive.sort((a, b) => Date.parse(b.archivedAt) - Date.parse(a.archivedAt));
+  trash.sort((a, b) => Date.parse(b.deletedAt) - Date.parse(a.deletedAt));
+
+  const parts = [`${added} added`, `${updated} updated`];
+  if(renamed) parts.push(`${renamed} given new ids`);
+  return `Board merged: ${parts.join(', ')}.`;
+}
+
+/* --- Import / Export (CSV and Markdown) --- */
+
+/* Columns written to / read from CSV files, in order */
+const CSV_FIELDS = ['id', 'title', 'description', 'column', 'due', 'createdAt', 'updatedAt'];
+
+/* Quote a CSV field when it contains a comma, quote or line break (RFC 4180) */
+function csvField(value){
+  const s = value == null ? '' : String(value);
+  return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+/* All tasks in board order (column by column) */
+function allTasks(){
+  return columnsMeta.reduce((list, {key}) => list.concat(board[key] || []), []);
+}
+
+/* Build CSV text for every task; the column field holds the column's display name */
+function boardToCSV(){
+  const rows = [CSV_FIELDS.join(',')];
+  allTasks().forEach(task => {
+    const row = { ...task, column: getColumnTitle(task.column) };
+    rows.push(CSV_FIELDS.map(f => csvField(row[f])).join(','));
+  });
+  return rows.join('\r\n') + '\r\n';
+}
+
+/* Build a Markdown checklist: one "## Column" heading per column, tasks in the last column are checked */
+/* Descriptions follow their item as indented lines */
+function boardToMarkdown(){
+  const lastKey = columnsMeta[columnsMeta.length - 1].key;
+  const lines = [];
+  columnsMeta.forEach(({key, title}, i) => {
+    if(i > 0) lines.push('');
+    lines.push(`## ${title}`, '');
+    (board[key] || []).forEach(task => {
+      lines.push(`- [${key === lastKey ? 'x' : ' '}] ${task.title.replace(/\s*\n\s*/g, ' ')}`);
+      if(task.description){
+        task.description.split(/\r?\n/).forEach(line => lines.push(line ? '  ' + line : ''));
+      }
+    });
+  });
+  return lines.join('\n') + '\n';
+}
+
+/* Parse CSV text into an array of rows (arrays of strings); handles quoted commas, quotes and newlines */
+function parseCSV(text){
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for(let i = 0; i < text.length; i++){
+    const ch = text[i];
+    if(quoted){
+      if(ch === '"' && text[i+1] === '"'){ field += '"'; i++; }
+      else if(ch === '"') quoted = false;
+      else field += ch;
+    } else if(ch === '"' && field === ''){
+      quoted = true;
+    } else if(ch === ','){
+      row.push(field); field = '';
+    } else if(ch === '\n' || ch === '\r'){
+      if(ch === '\r' && text[i+1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if(quoted) throw new Error('Unterminated quoted field.');
+  if(field !== '' || row.length) { row.push(field); rows.push(row); }
+  // ignore blank lines
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+/* Turn CSV text into [{ title, description, column, due }] using the header row; title is required */
+/* an unreadable due date is ignored */
+function tasksFromCSV(text){
+  const rows = parseCSV(text.replace(/^\uFEFF/, ''));
+  if(rows.length === 0) throw new Error('File is empty.');
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const col = name => header.indexOf(name.toLowerCase());
+  if(col('title') === -1) throw new Error('CSV needs a "title" column.');
+  return rows.slice(1).map(r => ({
+    title: (r[col('title')] || '').trim(),
+    description: col('description') === -1 ? '' : (r[col('description')] || '').trim(),
+    column: col('column') === -1 ? '' : (r[col('column')] || '').trim(),
+    due: col('due') !== -1 && isValidTimestamp(r[col('due')]) ? new Date(r[col('due')]).toISOString() : null
+  }));
+}
+
+/* Turn a Markdown checklist into [{ title, description, column }] */
+/* "# Heading" lines (any level) name the column for the "- [ ] title" items below them */
+/* indented lines after an item become its description */
+function tasksFromMarkdown(text){
+  const tasks = [];
+  let column = '';
+  let current = null;
+  text.split(/\r?\n/).forEach(line => {
+    const heading = line.match(/^#{1,6}\s+(.*?)\s*#*\s*$/);
+    const item = line.match(/^\s{0,1}[-*+]\s+\[([ xX])\]\s+(.*)$/);
+    if(heading){
+      column = heading[1];
+      current = null;
+    } else if(item){
+      current = { title: item[2].trim(), description: '', column };
+      tasks.push(current);
+    } else if(current && /^\s+\S/.test(line)){
+      current.description += (current.description ? '\n' : '') + line.replace(/^ {2}|^\t/, '');
+    } else if(current && line.trim() === '' && current.description){
+      current.description += '\n';
+    } else if(line.trim() !== ''){
+      current = null;
+    }
+  });
+  tasks.forEach(t => { t.description = t.description.trim(); });
+  if(tasks.length === 0) throw new Error('No "- [ ] task" lines found.');
+  return tasks;
+}
+
+/* Find a column by key or (case-insensitive) title; null for unknown names */
+/* Rows without a column go to the first column */
+function findImportColumn(name){
+  if(!name) return columnsMeta[0].key;
+  const lower = name.toLowerCase();
+  const meta = getColumnMeta(name) || columnsMeta.find(c => c.title.toLowerCase() === lower);
+  return meta ? meta.key : null;
+}
+
+/* Like findImportColumn(), but creates a new column for unknown names */
+function resolveImportColumn(name){
+  const found = findImportColumn(name);
+  if(found) return found;
+  const key = genColumnKey();
+  columnsMeta.push({ key, title: name });
+  board[key] = [];
+  return key;
+}
+
+/* Create imported rows as new tasks through createTask(), keeping the file order within each column */
+/* WIP limits apply to the file as a whole, like a multi-line quick-add: if any column can't take its
+   rows, nothing is imported. Returns { created, skipped }, or null when a WIP limit refused the rows */
+function importTaskRows(rows, label){
+  const valid = rows.filter(r => r.title);
+  if(valid.length === 0) throw new Error('No tasks with a title found.');
+  // columns the file would create have no limit yet
+  const perColumn = {};
+  valid.forEach(r => {
+    const key = findImportColumn(r.column);
+    if(key) perColumn[key] = (perColumn[key] || 0) + 1;
+  });
+  if(!Object.keys(perColumn).every(key => checkWipLimit(key, perColumn[key]))) return null;
+  recordHistory(label);
+  // createTask() places each task at the top, so add them last-to-first
+  valid.slice().reverse().forEach(r => {
+    createTask({ title: r.title, description: r.description, column: resolveImportColumn(r.column), due: r.due || null });
+  });
+  return { created: valid.length, skipped: rows.length - valid.length };
+}
+
+/* Export in the format chosen next to the Export button */
+function exportBoard(){
+  const date = nowISO().slice(0,10);
+  const format = exportFormatSelect.value;
+  if(format === 'csv'){
+    downloadFile(`${exportBaseName()}-${date}.csv`, boardToCSV(), 'text/csv');
+  } else if(format === 'md'){
+    downloadFile(`${exportBaseName()}-${date}.md`, boardToMarkdown(), 'text/markdown');
+  } else {
+    return exportBoardJSON();
+  }
+  const name = format === 'csv' ? 'CSV' : 'Markdown';
+  showToast('Board exported');
+  announce(`Board exported as ${name} file.`);
+}
+
+/* Import a CSV or Markdown file straight away (these formats only ever add tasks) */
+function importTaskFile(text, format){
+  const rows = format === 'csv' ? tasksFromCSV(text) : tasksFromMarkdown(text);
+  const result = importTaskRows(rows, `import ${format === 'csv' ? 'CSV' : 'Markdown'}`);
+  if(!result) return;
+  const { created, skipped } = result;
+  saveToStorage();
+  render();
+  const message = `${created} task(s) imported` + (skipped ? `, ${skipped} row(s) without a title skipped.` : '.');
+  showUndoToast(message);
+  announce(message);
+}
+
+/* Pick the import format from the file name */
+function importFormatFor(fileName){
+  const ext = (fileName.split('.').pop() || '').toLowerCase();
+  if(ext === 'csv') return 'csv';
+  if(ext === 'md' || ext === 'markdown' || ext === 'txt') return 'md';
+  return 'json';
+}
+
+/* export button */
+exportBtn.addEventListener('click', exportBoard);
+
+/* import button opens the file picker */
+importBtn.addEventListener('click', ()=>importFileInput.click());
+
+/* read and validate the chosen file, then ask replace or merge */
+importFileInput.addEventListener('change', ()=>{
+  const file = importFileInput.files[0];
+  if(!file) return;
+  file.text().then(text => {
+    const format = importFormatFor(file.name);
+    if(format === 'json') return openImportDialog(parseBoardFile(text), file.name);
+    importFileInput.value = '';
+    importTaskFile(text, format);
+  }).catch(err => {
+    importFileInput.value = '';
+    showToast(`Import failed: ${err.message}`, 5000);
+    announce(`Import failed: ${err.message}`);
+  });
+});
+
+/* apply the import with the chosen mode */
+importForm.addEventListener('submit', (e)=>{
+  e.preventDefault();
+  if(!pendingImport) return closeImportDialog();
+  const result = pendingImport;
+  const message = importForm.elements.importMode.value === 'replace'
+    ? applyImportReplace(result)
+    : applyImportMerge(result);
+  saveToStorage();
+  closeImportDialog();
+  render();
+  showUndoToast(message);
+  announce(message);
+});
+
+/* cancel import */
+cancelImportBtn.addEventListener('click', (e)=>{
+  e.preventDefault();
+  closeImportDialog();
+});
+
+/* clicking the import backdrop cancels */
+importBackdrop.addEventListener('click', (e)=>{
+  if(e.target === importBackdrop) closeImportDialog();
+});
+
+/* --- Boards --- */
+
+/* Load the list of boards; falls back to the single default board */
+function loadBoardsIndex(){
+  try{
+    const parsed = JSON.parse(localStorage.getItem(BOARDS_KEY) || 'null');
+    const valid = parsed && Array.isArray(parsed.boards) && parsed.boards.length > 0 &&
+      parsed.boards.every(b => b && typeof b.id === 'string' && b.id && typeof b.name === 'string');
+    if(valid){
+      boardsIndex = {
+        boards: parsed.boards.map(b => ({ id: b.id, name: b.name })),
+        lastBoardId: parsed.lastBoardId
+      };
+    }
+  }catch(e){
+    console.error('Board list could not be loaded', e);
+  }
+  currentBoardId = getBoardMeta(boardsIndex.lastBoardId) ? boardsIndex.lastBoardId : boardsIndex.boards[0].id;
+}
+
+/* Save the list of boards and the last opened board */
+function saveBoardsIndex(){
+  boardsIndex.lastBoardId = currentBoardId;
+  try{
+    localStorage.setItem(BOARDS_KEY, JSON.stringify(boardsIndex));
+  }catch(e){
+    showToast('Unable to save changes; please check browser storage settings.');
+    console.error('LocalStorage save error', e);
+  }
+}
+
+/* Look up a board by id */
+function getBoardMeta(id){
+  return boardsIndex.boards.find(b => b.id === id) || null;
+}
+
+/* Generate unique board id: 'b_' prefix + random alphanumeric string */
+function genBoardId(){
+  let id;
+  do { id = 'b_' + Math.random().toString(36).slice(2,10); } while(getBoardMeta(id));
+  return id;
+}
+
+/* Fill the header board switcher and the modal's board dropdown */
+function renderBoardOptions(){
+  [boardSelect, taskBoardSelect].forEach(select => {
+    select.innerHTML = '';
+    boardsIndex.boards.forEach(({id, name}) => {
+      const opt = document.createElement('option');
+      opt.value = id;
+      opt.textContent = name;
+      select.appendChild(opt);
+    });
+    select.value = currentBoardId;
+  });
+  deleteBoardBtn.disabled = boardsIndex.boards.length === 1;
+}
+
+/* Ask for a board name; returns trimmed name or null when cancelled/empty */
+function promptBoardName(message, current){
+  const value = prompt(message, current || '');
+  if(value === null) return null;
+  const name = value.trim();
+  if(!name){
+    showToast('Board name is required.');
+    return null;
+  }
+  return name;
+}
+
+/* Load another board (its columns, tasks and undo history) and show it */
+async function switchBoard(id){
+  const meta = getBoardMeta(id);
+  if(!meta) return;
+  // read first: the board on screen stays usable until the other one is ready
+  const result = await readStoredBoard(id);
+  flushHistory();
+  currentBoardId = id;
+  saveBoardsIndex();
+  selectedIds.clear();
+  activeTagFilter = null;
+  if(result) useBoardData(result);
+  else resetBoardState();
+  loadHistory();
+  purgeExpiredTrash();
+  renderTagFilterPill();
+  render();
+  announce(`Switched to board "${meta.name}".`);
+  lastServerSyncAt = 0;
+  renderSyncStatus();
+  syncWithServer();
+}
+
+/* create a new empty board and switch to it */
+async function createBoard(){
+  const name = promptBoardName('Name of the new board:');
+  if(!name) return;
+  const id = genBoardId();
+  boardsIndex.boards.push({ id, name });
+  await switchBoard(id);
+  saveToStorage();
+  showToast('Board created');
+}
+
+/* rename the current board */
+function renameBoard(){
+  const meta = getBoardMeta(currentBoardId);
+  const name = promptBoardName('Rename board:', meta.name);
+  if(!name || name === meta.name) return;
+  meta.name = name;
+  saveBoardsIndex();
+  renderBoardOptions();
+  showToast('Board renamed');
+  announce(`Board renamed to "${name}".`);
+}
+
+/* copy the current board's columns and tasks into a new board and switch to it */
+async function duplicateBoard(){
+  const meta = getBoardMeta(currentBoardId);
+  const name = promptBoardName('Name of the copy:', `${meta.name} (copy)`);
+  if(!name) return;
+  const id = genBoardId();
+  if(!(await persistBoard(id, buildPayload()))) return;
+  boardsIndex.boards.push({ id, name });
+  await switchBoard(id);
+  showToast('Board duplicated');
+}
+
+/* delete the current board with its tasks and history (the last board cannot be deleted) */
+async function deleteBoard(){
+  if(boardsIndex.boards.length === 1) return;
+  const meta = getBoardMeta(currentBoardId);
+  if(!confirm(`Delete board "${meta.name}" and all of its tasks? This cannot be undone.`)) return;
+  storage.deleteBoard(meta.id).catch(e => console.error('Storage delete error', e));
+  flushHistory(); // nothing pending may write it back
+  localStorage.removeItem(historyStorageKey(meta.id));
+  saveServerSyncState(meta.id, null);
+  boardsIndex.boards = boardsIndex.boards.filter(b => b.id !== meta.id);
+  await switchBoard(boardsIndex.boards[0].id);
+  showToast('Board deleted');
+  announce(`Board "${meta.name}" deleted. Switched to "${getBoardMeta(currentBoardId).name}".`);
+}
+
+/* Read another board's saved columns and tasks (migrated and validated); resolves to null if unreadable */
+async function readBoardPayload(boardId){
+  let raw;
+  try{
+    raw = await storage.loadBoard(boardId);
+  }catch(e){
+    console.error('Board could not be read', boardId, e);
+    return null;
+  }
+  if(!raw){
+    const columns = DEFAULT_COLUMNS.map(c => ({...c}));
+    const tasksByColumn = {};
+    columns.forEach(c => { tasksByColumn[c.key] = []; });
+    return { columns, board: tasksByColumn, tags: [], archive: [], trash: [], rejected: [] };
+  }
+  try{
+    const result = validatePayload(migratePayload(typeof raw === 'string' ? JSON.parse(raw) : raw));
+    if(result.rejected.length) quarantineRecords(result.rejected.map(r => ({ ...r, boardId })));
+    return result;
+  }catch(e){
+    console.error('Board could not be read', boardId, e);
+    return null;
+  }
+}
+
+/* Move a task from the current board to the top of another board */
+/* It keeps its column when the target board has a column with the same key, otherwise goes to the first column */
+/* Resolves to true if the task was moved */
+async function moveTaskToBoard(task, targetBoardId, preferredColumn, edits){
+  const targetMeta = getBoardMeta(targetBoardId);
+  const target = targetMeta && await readBoardPayload(targetBoardId);
+  if(!target){
+    showToast('That board could not be read; the task was not moved.', 4000);
+    return false;
+  }
+  const column = target.columns.some(c => c.key === preferredColumn) ? preferredColumn : target.columns[0].key;
+  const columnMeta = target.columns.find(c => c.key === column);
+  if(columnMeta.limit && target.board[column].length >= columnMeta.limit){
+    const message = `"${columnMeta.title}" on board "${targetMeta.name}" is at its WIP limit of ${columnMeta.limit}. Finish or move a task out first.`;
+    showToast(message, 4000);
+    announce(message);
+    return false;
+  }
+
+  const moved = { ...task, activity: (task.activity || []).slice(), updatedAt: nowISO() };
+  ['title', 'description'].forEach(field => setLoggedField(moved, field, edits[field]));
+  Object.assign(moved, edits);
+  if(!moved.recurrence) delete moved.recurrence;
+  if(!isPriority(moved.priority)) delete moved.priority;
+
+  // tag ids are per board: reuse the target's tag with the same name, or copy the tag over
+  moved.tags = (moved.tags || []).map(getTagMeta).filter(Boolean).map(tag => {
+    const lower = tag.name.toLowerCase();
+    let match = target.tags.find(t => t.name.toLowerCase() === lower);
+    if(!match){
+      match = { ...tag };
+      while(target.tags.some(t => t.id === match.id)) match.id = 'g_' + Math.random().toString(36).slice(2,8);
+      target.tags.push(match);
+    }
+    return match.id;
+  });
+  logActivity(moved, 'board', { from: getBoardMeta(currentBoardId).name, to: targetMeta.name, column });
+  moved.column = column;
+  // ids are per board, and duplicated boards share them: look in the target's archive and trash too
+  const idTaken = id => target.columns.some(c => target.board[c.key].some(t => t.id === id)) ||
+    target.archive.some(t => t.id === id) || target.trash.some(t => t.id === id);
+  while(idTaken(moved.id)) moved.id = genId();
+  target.board[column].unshift(moved);
+  const saved = await persistBoard(targetBoardId, storedPayload(target));
+  if(!saved) return false;
+
+  // look the task up again: another tab may have reloaded this board while saving
+  const source = getTaskById(task.id);
+  if(source) board[source.column].splice(board[source.column].indexOf(source), 1);
+  // Undo only covers this board: older snapshots would bring the task back as a duplicate
+  forgetTasksInHistory([task.id]);
+  saveToStorage();
+  render();
+  showToast(`Moved to board "${targetMeta.name}"`);
+  announce(`Task "${moved.title}" moved to board "${targetMeta.name}" (${columnMeta.title}).`);
+  return true;
+}
+
+/* board switcher and board buttons */
+boardSelect.addEventListener('change', ()=>switchBoard(boardSelect.value));
+newBoardBtn.addEventListener('click', createBoard);
+renameBoardBtn.addEventListener('click', renameBoard);
+duplicateBoardBtn.addEventListener('click', duplicateBoard);
+deleteBoardBtn.addEventListener('click', deleteBoard);
+
+/* --- Sync between tabs --- */
+/* After a board is written, the tab posts { type, boardId, sentAt, raw } on a BroadcastChannel and
+   other tabs showing that board apply the stored version (raw is the written JSON for adapters that
+   store whole boards as text; otherwise the board is read back through the storage adapter).
+   Normally the stored board simply replaces the in-memory one. If this tab saved after the message
+   was sent (both tabs changed something at once), the two versions are merged task by task, keeping
+   the copy with the newer updatedAt, and the result is saved for the other tab.
+   The board list and preferences live in localStorage and arrive through 'storage' events. */
+
+/* Channel shared by the tabs of this site (null in browsers without BroadcastChannel) */
+const syncChannel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(SYNC_CHANNEL) : null;
+
+/* When this tab last saved its board (ms since epoch) */
+let lastLocalSaveAt = 0;
+
+/* Sync message that arrived during a press, drag or keyboard move; handled once it is over */
+let deferredSync = null;
+
+/* Tell the other tabs that a board was saved ('saved', with the written JSON if any) */
+function notifyOtherTabs(type, boardId, raw){
+  if(syncChannel) syncChannel.postMessage({ type, boardId, sentAt: Date.now(), raw: raw || null });
+}
+
+/* Pick the copy of a task with the newer updatedAt (a task missing on one side is kept) */
+function newerTask(l, r){
+  if(!l || !r) return l || r;
+  return Date.parse(r.updatedAt) > Date.parse(l.updatedAt) ? r : l;
+}
+
+/* Merge two validated payloads task by task; `local` decides column order, the newer updatedAt wins per task */
+/* Tasks present on one side only are kept, so a concurrent change is never lost */
+/* pick(localTask, remoteTask) can replace that rule; returning nothing drops the task */
+function mergeTabPayloads(local, remote, pick = newerTask){
+  const columns = local.columns.map(c => ({...c}));
+  remote.columns.forEach(c => { if(!columns.some(l => l.key === c.key)) columns.push({...c}); });
+  const tags = local.tags.map(t => ({...t}));
+  remote.tags.forEach(t => { if(!tags.some(l => l.id === t.id)) tags.push({...t}); });
+
+  const listOf = payload => columns.reduce((list, {key}) => list.concat(payload.board[key] || []), []);
+  const localTasks = new Map(listOf(local).map(t => [t.id, t]));
+  const remoteTasks = new Map(listOf(remote).map(t => [t.id, t]));
+  const winner = id => pick(localTasks.get(id), remoteTasks.get(id));
+
+  const merged = {};
+  columns.forEach(({key}) => {
+    merged[key] = (local.board[key] || []).map(t => winner(t.id)).filter(t => t && t.column === key);
+  });
+  // remote-only tasks and tasks whose remote copy moved go to their remote position
+  columns.forEach(({key}) => {
+    (remote.board[key] || []).forEach((t, i) => {
+      if(winner(t.id) !== t || merged[key].includes(t)) return;
+      merged[key].splice(Math.min(i, merged[key].length), 0, t);
+    });
+  });
+
+  // archive and trash: a task lives in one place only, wherever the copy pick() chooses is
+  // (each side holds it in one place: on its board or on one of its shelves)
+  const shelved = payload => new Map(SHELVES.flatMap(place => (payload[place] || []).map(t => [t.id, t])));
+  const localShelved = shelved(local);
+  const remoteShelved = shelved(remote);
+  const chosen = id => pick(localTasks.get(id) || localShelved.get(id), remoteTasks.get(id) || remoteShelved.get(id));
+  columns.forEach(({key}) => { merged[key] = merged[key].filter(t => chosen(t.id) === t); });
+  const shelf = (place, stampField) => {
+    const list = [];
+    [local, remote].forEach(p => (p[place] || []).forEach(t => {
+      if(chosen(t.id) === t && !list.includes(t)) list.push(t);
+    }));
+    return list.sort((a, b) => Date.parse(b[stampField]) - Date.parse(a[stampField]));
+  };
+  return { columns, board: merged, tags, archive: shelf('archive', 'archivedAt'), trash: shelf('trash', 'deletedAt') };
+}
+
+/* Handle a message from another tab (see notifyOtherTabs) */
+async function handleSyncMessage(message){
+  if(!message || message.boardId !== currentBoardId) return;
+  if(draggingEl || pressState || keyboardGrab){
+    // don't pull cards out from under an active drag
+    deferredSync = message;
+    return;
+  }
+  if(message.type !== 'saved') return;
+
+  let remote;
+  try{
+    const stored = message.raw || await storage.loadBoard(message.boardId);
+    if(!stored) return;
+    remote = validatePayload(migratePayload(typeof stored === 'string' ? JSON.parse(stored) : stored));
+  }catch(e){
+    console.error('Ignoring unreadable board data from another tab', e);
+    return;
+  }
+  if(message.boardId !== currentBoardId) return; // switched boards while reading
+  if(draggingEl || pressState || keyboardGrab){
+    deferredSync = message;
+    return;
+  }
+
+  if(lastLocalSaveAt <= message.sentAt){
+    // nothing saved here since: take the other tab's version as is
+    useBoardData(remote);
+  } else {
+    // this tab saved after the other tab did: merge both versions and save the result for everyone
+    const merged = mergeTabPayloads({ columns: columnsMeta, board, tags: tagsMeta, archive, trash }, remote);
+    useBoardData(merged);
+    saveToStorage();
+  }
+  clearHistory();
+  showExternalChanges('another tab');
+}
+
+/* Redraw the board after it was changed elsewhere (`source`: 'another tab', 'the server'), keeping focus */
+function showExternalChanges(source){
+  renderTagFilterPill();
+  render();
+  if(tagsBackdrop.style.display === 'flex') renderTagManager();
+  if(modalBackdrop.style.display === 'flex') renderTagPicker();
+  if(archiveBackdrop.style.display === 'flex') renderShelf('archive');
+  if(trashBackdrop.style.display === 'flex') renderShelf('trash');
+  if(statsBackdrop.style.display === 'flex') renderStats();
+  announce(`Board updated from ${source}.`);
+  notifyEditedTaskChanged(source);
+}
+
+/* While the task modal is open, tell the user when that task was changed or deleted elsewhere */
+/* The form is left alone: saving keeps the version in the form */
+function notifyEditedTaskChanged(source){
+  if(!editingTaskId || modalBackdrop.style.display !== 'flex') return;
+  const task = getTaskById(editingTaskId);
+  const where = source === 'the server' ? 'on the server' : `in ${source}`;
+  if(!task){
+    showToast(`This task was deleted ${where}. Saving will not bring it back.`, 6000);
+    announce(`The task being edited was deleted ${where}.`);
+  } else if(task.updatedAt !== editingTaskStamp){
+    editingTaskStamp = task.updatedAt;
+    showToast(`This task was changed ${where}. Saving will replace those changes.`, 6000);
+    announce(`The task being edited was changed ${where}.`);
+  }
+}
+
+/* Handle a message that arrived while a card was pressed, dragged or held with the keyboard */
+function applyDeferredSync(){
+  if(!deferredSync) return;
+  const message = deferredSync;
+  deferredSync = null;
+  handleSyncMessage(message);
+}
+
+if(syncChannel) syncChannel.addEventListener('message', (e)=>handleSyncMessage(e.data));
+
+/* Another tab changed the board list (renamed, added or deleted boards) */
+function applyExternalBoardsIndex(){
+  const current = currentBoardId;
+  loadBoardsIndex(); // the stored lastBoardId belongs to the other tab
+  if(getBoardMeta(current)){
+    currentBoardId = current;
+    renderBoardOptions();
+    return;
+  }
+  currentBoardId = current;
+  const name = boardsIndex.boards[0].name;
+  switchBoard(boardsIndex.boards[0].id);
+  showToast(`This board was deleted in another tab. Switched to "${name}".`, 5000);
+}
+
+/* storage events fire only in the other tabs of this site, never in the tab that wrote */
+window.addEventListener('storage', (e)=>{
+  if(e.storageArea !== localStorage) return;
+  if(e.key === BOARDS_KEY){
+    applyExternalBoardsIndex();
+  } else if(e.key === PREFS_KEY){
+    loadPrefs();
+    prefConfirmChecklist.checked = prefs.confirmOpenChecklist;
+    // sync may have been turned on or off in the other tab
+    renderSyncStatus();
+    if(serverSyncEnabled()) scheduleServerSync(SYNC_DELAY_MS);
+  }
+});
+
+/* --- Sync with a server (optional) --- */
+/* When turned on in the Sync dialog, every board change is sent to a REST API (contract in README,
+   "Server Sync"; mock-server.js implements it for local testing). Boards are still saved in the
+   browser first, so the app works exactly the same offline.
+   Each board keeps a queue in localStorage: persistBoard compares the saved board with the
+   `shadow` (task id -> updatedAt as last queued) and queues one operation per changed task
+   ({ type: 'put' | 'delete', id, base, at }) plus one 'layout' operation for column order, names
+   and tags. Archived and deleted tasks are tasks like any other, sent with a `shelf` field, so a
+   'delete' is only queued when a task leaves the trash for good (emptied or expired).
+   `base` is the updatedAt the server is expected to have; the server answers 409 when its
+   copy differs, and the copy with the newer updatedAt wins. Several changes to a task while offline
+   become one request. The queue is sent on every change, on reconnect and every SYNC_POLL_MS, after
+   which the server's board is pulled in. Only the board on screen talks to the server. */
+
+const SYNC_POLL_MS = 30 * 1000;     // how often the server is checked for changes made elsewhere
+const SYNC_TIMEOUT_MS = 10 * 1000;  // a request taking longer counts as offline
+const SYNC_DELAY_MS = 500;          // pause after a change before the queue is sent (batches quick edits)
+
+/* 'off' | 'syncing' | 'synced' | 'offline' | 'error' */
+let syncStatus = 'off';
+
+/* Error message shown with the 'error' status */
+let syncError = '';
+
+/* When the server was last reached (ms since epoch) */
+let lastServerSyncAt = 0;
+
+/* Promise of the sync pass in progress, and whether another pass was requested meanwhile */
+let syncRunning = null;
+let syncAgain = false;
+let syncTimer = null;
+
+/* Sync queues kept in memory when localStorage cannot be written */
+const syncStateFallback = new Map();
+
+/* True when the user turned server sync on and gave a server URL */
+function serverSyncEnabled(){
+  return !!(prefs.syncEnabled && prefs.syncEndpoint);
+}
+
+/* Key under which a board's sync queue is saved */
+function serverSyncKey(boardId){
+  return boardId === DEFAULT_BOARD_ID ? SERVER_SYNC_KEY : `${SERVER_SYNC_KEY}:${boardId}`;
 }
 
-/* close modal */
-function closeModal(){
-  editingTaskId = null;
-  modalBackdrop.style.display = 'none';
-  modalBackdrop.setAttribute('aria-hidden','true');
-  // return focus to Add button
-  openCreateBtn.focus();
+/* Load a board's sync state { shadow, layout, queue }; null until the board first reached the server */
+function loadServerSyncState(boardId){
+  try{
+    const parsed = JSON.parse(localStorage.getItem(serverSyncKey(boardId)) || 'null');
+    if(parsed && parsed.shadow && typeof parsed.shadow === 'object' && Array.isArray(parsed.queue)) return parsed;
+  }catch(e){
+    console.error('Failed to load the sync queue', e);
+  }
+  return syncStateFallback.get(boardId) || null;
 }
 
-/* handle form submit (create or edit) */
-taskForm.addEventListener('submit', (e)=>{
-  e.preventDefault();
-  const title = taskTitleInput.value.trim();
-  const desc = taskDescInput.value.trim();
-  const column = taskColumnSelect.value;
+/* Save a board's sync state (null forgets it) */
+function saveServerSyncState(boardId, state){
+  if(state) syncStateFallback.set(boardId, state);
+  else syncStateFallback.delete(boardId);
+  try{
+    if(state) localStorage.setItem(serverSyncKey(boardId), JSON.stringify(state));
+    else localStorage.removeItem(serverSyncKey(boardId));
+  }catch(e){
+    console.error('Failed to save the sync queue', e);
+  }
+}
 
-  if(!title){
-    document.getElementById('titleError').style.display = 'block';
-    taskTitleInput.focus();
-    return;
+/* Forget the sync queues of every board (sync turned off or pointed at another server) */
+function forgetServerSyncStates(){
+  boardsIndex.boards.forEach(b => saveServerSyncState(b.id, null));
+}
+
+/* Every task of a payload by id, archived and deleted ones included */
+function payloadTasks(payload){
+  const tasks = new Map();
+  payload.columns.forEach(({key}) => (payload.board[key] || []).forEach(t => tasks.set(t.id, t)));
+  SHELVES.forEach(place => (payload[place] || []).forEach(t => tasks.set(t.id, t)));
+  return tasks;
+}
+
+/* A local task as the server stores it (archived and deleted tasks travel marked with `shelf`): { ...task, shelf } for archived and deleted ones; null if gone */
+function serverCopyOf(id){
+  const task = getTaskById(id);
+  if(task) return task;
+  const place = SHELVES.find(p => (p === 'archive' ? archive : trash).some(t => t.id === id));
+  return place ? { ...(place === 'archive' ? archive : trash).find(t => t.id === id), shelf: place } : null;
+}
+
+/* Column definitions, tag palette and task order of a payload, as sent to PUT .../layout */
+function boardLayout(payload){
+  const order = {};
+  payload.columns.forEach(({key}) => { order[key] = (payload.board[key] || []).map(t => t.id); });
+  return { columns: payload.columns, tags: payload.tags, order };
+}
+
+/* Queue an operation, folding it into a queued one for the same task (or the layout) */
+function queueServerOp(state, type, id, base){
+  const queued = state.queue.find(op => op.id === id);
+  if(!queued){
+    state.queue.push({ type, id, base, at: Date.now() });
+  } else if(type === 'delete' && queued.type === 'put' && queued.base === null){
+    // created and deleted before the server ever saw it
+    state.queue.splice(state.queue.indexOf(queued), 1);
   } else {
-    document.getElementById('titleError').style.display = 'none';
+    // the server still has the version the first queued change was based on
+    queued.type = type;
+    queued.at = Date.now();
   }
+}
 
-  if(editingTaskId){
-    // edit
-    const t = getTaskById(editingTaskId);
-    if(!t) return closeModal();
-    t.title = title;
-    t.description = desc;
-    // if column changed, move to end of that column
-    if(t.column !== column){
-      // remove from current
-      const arr = board[t.column];
-      const idx = arr.findIndex(x=>x.id===t.id);
-      if(idx>-1) arr.splice(idx,1);
-      t.column = column;
-      board[column].push(t);
+/* Queue what changed in a board since it was last queued (called for every save) */
+function queueServerChanges(boardId, payload){
+  if(!serverSyncEnabled()) return;
+  const state = loadServerSyncState(boardId);
+  if(!state) return; // not connected yet: the first sync compares the whole board
+  const tasks = payloadTasks(payload);
+  let changed = false;
+  tasks.forEach((task, id) => {
+    if(state.shadow[id] === task.updatedAt) return;
+    queueServerOp(state, 'put', id, state.shadow[id] || null);
+    state.shadow[id] = task.updatedAt;
+    changed = true;
+  });
+  Object.keys(state.shadow).forEach(id => {
+    if(tasks.has(id)) return;
+    queueServerOp(state, 'delete', id, state.shadow[id]);
+    delete state.shadow[id];
+    changed = true;
+  });
+  const layout = JSON.stringify(boardLayout(payload));
+  if(layout !== state.layout){
+    queueServerOp(state, 'layout', null, null);
+    state.layout = layout;
+    changed = true;
+  }
+  if(!changed) return;
+  saveServerSyncState(boardId, state);
+  if(boardId !== currentBoardId) return;
+  renderSyncStatus();
+  scheduleServerSync(SYNC_DELAY_MS);
+}
+
+/* Call the sync API; resolves to { status, data } for 2xx, 404 and 409 answers */
+/* Throws an error with `offline` set when the server cannot be reached */
+async function serverRequest(method, path, body){
+  const controller = typeof AbortController === 'function' ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), SYNC_TIMEOUT_MS) : null;
+  let response;
+  try{
+    response = await fetch(prefs.syncEndpoint.replace(/\/+$/, '') + path, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller ? controller.signal : undefined
+    });
+  }catch(e){
+    const err = new Error('The server could not be reached');
+    err.offline = true;
+    throw err;
+  }finally{
+    clearTimeout(timer);
+  }
+  let data = null;
+  try{
+    if(response.status !== 204) data = await response.json();
+  }catch(e){
+    data = null;
+  }
+  if(!response.ok && response.status !== 404 && response.status !== 409){
+    throw new Error(`The server answered ${response.status}`);
+  }
+  return { status: response.status, data };
+}
+
+/* URL path of a board (and optionally one of its tasks) in the sync API */
+function boardPath(boardId, taskId){
+  const path = `/boards/${encodeURIComponent(boardId)}`;
+  return taskId ? `${path}/tasks/${encodeURIComponent(taskId)}` : path;
+}
+
+/* Turn a GET /boards/:id answer into a validated payload { columns, board, tags } */
+function readServerBoard(data){
+  const columns = Array.isArray(data.columns) ? data.columns : [];
+  const order = data.order && typeof data.order === 'object' ? data.order : {};
+  const tasks = new Map((Array.isArray(data.tasks) ? data.tasks : []).filter(t => t && t.id).map(t => [t.id, t]));
+  // archived and deleted tasks (marked with `shelf`) go back to the archive and trash
+  const shelves = { archive: [], trash: [] };
+  tasks.forEach((t, id) => {
+    if(!SHELVES.includes(t.shelf)) return;
+    const { shelf, ...task } = t;
+    shelves[shelf].push(task);
+    tasks.delete(id);
+  });
+  const grouped = {};
+  columns.forEach(c => {
+    if(!c) return;
+    grouped[c.key] = (Array.isArray(order[c.key]) ? order[c.key] : []).map(id => tasks.get(id))
+      .filter(t => t && t.column === c.key && tasks.delete(t.id));
+  });
+  // tasks missing from the order go to the top of their column
+  tasks.forEach(t => { (grouped[t.column] = grouped[t.column] || []).unshift(t); });
+  const result = validatePayload({ version: SCHEMA_VERSION, columns, board: grouped, tags: data.tags, ...shelves });
+  if(result.rejected.length) console.warn('Ignoring invalid tasks from the server', result.rejected);
+  return result;
+}
+
+/* True if two payloads have the same columns, tags, task order and tasks */
+function sameBoard(a, b){
+  return JSON.stringify([boardLayout(a), [...payloadTasks(a).values()]]) ===
+    JSON.stringify([boardLayout(b), [...payloadTasks(b).values()]]);
+}
+
+/* Make the current board match `payload` without queueing it back to the server, then save and redraw */
+/* (tasks with queued changes must appear in `payload` as they are locally) */
+function acceptServerBoard(payload){
+  const state = loadServerSyncState(currentBoardId);
+  useBoardData(payload);
+  const shadow = {};
+  payloadTasks(payload).forEach((task, id) => { shadow[id] = task.updatedAt; });
+  state.shadow = shadow;
+  state.layout = JSON.stringify(boardLayout(payload));
+  saveServerSyncState(currentBoardId, state);
+  saveToStorage();
+  clearHistory();
+  showExternalChanges('the server');
+}
+
+/* First sync of a board: everything on the server counts as synced and the local board is merged */
+/* into it (newer updatedAt wins), so whatever differs locally is queued for upload */
+async function connectBoard(boardId){
+  const { status, data } = await serverRequest('GET', boardPath(boardId));
+  if(boardId !== currentBoardId) return false;
+  const state = { shadow: {}, layout: '', queue: [] };
+  if(status === 404 || !data){
+    saveServerSyncState(boardId, state);
+    saveToStorage(); // queues the whole board
+    return true;
+  }
+  const remote = readServerBoard(data);
+  if(boardId !== currentBoardId) return false;
+  payloadTasks(remote).forEach((task, id) => { state.shadow[id] = task.updatedAt; });
+  state.layout = JSON.stringify(boardLayout(remote));
+  saveServerSyncState(boardId, state);
+  const local = { columns: columnsMeta, board, tags: tagsMeta, archive, trash };
+  const merged = mergeTabPayloads(local, remote);
+  const changed = !sameBoard(merged, local);
+  useBoardData(merged);
+  saveToStorage(); // queues the local differences
+  if(changed){
+    clearHistory();
+    showExternalChanges('the server');
+  }
+  return true;
+}
+
+/* Send one queued operation; resolves to the follow-up: 'done', or 'retry' with a new base */
+/* Conflicts (409) are settled here: the copy with the newer updatedAt wins */
+async function sendServerOp(boardId, op){
+  if(op.type === 'layout'){
+    await serverRequest('PUT', `${boardPath(boardId)}/layout`, boardLayout(buildPayload()));
+    return { result: 'done' };
+  }
+  const local = serverCopyOf(op.id);
+  if(op.type === 'put'){
+    if(!local) return { result: 'done' }; // removed from the trash meanwhile; that change is queued separately
+    const { status, data } = await serverRequest('PUT', boardPath(boardId, op.id), { task: local, baseUpdatedAt: op.base });
+    if(status !== 409) return { result: 'done', sent: local.updatedAt };
+    const server = data && data.task;
+    if(server && server.updatedAt === local.updatedAt) return { result: 'done', sent: local.updatedAt };
+    if(server && Date.parse(server.updatedAt) > Date.parse(local.updatedAt)){
+      return { result: 'done', adopt: server, notice: `"${local.title}" was changed by someone else; kept their newer version.` };
     }
-    t.updatedAt = nowISO();
-    showToast('Saved');
-    announce(`Task "${t.title}" updated.`);
+    // ours is newer (or the server copy was deleted): send it again on top of the server's copy
+    return { result: 'retry', base: server ? server.updatedAt : null };
+  }
+  const query = op.base ? `?baseUpdatedAt=${encodeURIComponent(op.base)}` : '';
+  const { status, data } = await serverRequest('DELETE', boardPath(boardId, op.id) + query);
+  if(status !== 409) return { result: 'done' };
+  const server = data && data.task;
+  if(server && Date.parse(server.updatedAt) > op.at){
+    return { result: 'done', adopt: server, notice: `"${server.title}" was changed by someone else after you deleted it, so it was restored.` };
+  }
+  return { result: 'retry', base: server ? server.updatedAt : null };
+}
+
+/* Send the current board's queue, task operations first and the layout last */
+async function flushServerQueue(boardId){
+  const retries = new Map();
+  const notices = [];
+  while(boardId === currentBoardId){
+    const state = loadServerSyncState(boardId);
+    if(!state) return notices;
+    const op = state.queue.find(o => o.type !== 'layout') || state.queue[0];
+    if(!op) return notices;
+    const outcome = await sendServerOp(boardId, op);
+    if(boardId !== currentBoardId) break;
+
+    // the queue may have changed while the request was out
+    const fresh = loadServerSyncState(boardId);
+    const queued = fresh.queue.find(o => o.id === op.id);
+    if(outcome.result === 'retry'){
+      retries.set(op.id, (retries.get(op.id) || 0) + 1);
+      if(retries.get(op.id) > 3) throw new Error('The server keeps rejecting a change');
+      if(queued) queued.base = outcome.base;
+    } else if(queued && queued.at === op.at){
+      fresh.queue.splice(fresh.queue.indexOf(queued), 1);
+    } else if(queued && outcome.sent){
+      // changed again meanwhile: the next request builds on the version just sent
+      queued.base = outcome.sent;
+    }
+    saveServerSyncState(boardId, fresh);
+
+    if(outcome.adopt){
+      const task = getTaskById(op.id);
+      const { shelf, ...copy } = outcome.adopt;
+      const place = SHELVES.includes(shelf) ? shelf : null;
+      const remote = validatePayload({ version: SCHEMA_VERSION, columns: columnsMeta, tags: tagsMeta,
+        board: place ? {} : { [copy.column]: [copy] }, archive: place === 'archive' ? [copy] : [], trash: place === 'trash' ? [copy] : [] });
+      const adopted = place ? remote[place][0] : remote.board[copy.column] && remote.board[copy.column][0];
+      if(adopted){
+        // the server's copy replaces ours wherever ours was (board, archive or trash)
+        const payload = { columns: columnsMeta, board: {}, tags: tagsMeta,
+          archive: archive.filter(t => t.id !== op.id), trash: trash.filter(t => t.id !== op.id) };
+        columnsMeta.forEach(({key}) => { payload.board[key] = board[key].filter(t => t.id !== op.id); });
+        if(place){
+          payload[place].unshift(adopted);
+        } else {
+          const index = task && task.column === adopted.column ? board[task.column].indexOf(task) : 0;
+          payload.board[adopted.column].splice(Math.max(0, index), 0, adopted);
+        }
+        acceptServerBoard(payload);
+      }
+      notices.push(outcome.notice);
+    }
+  }
+  return notices;
+}
+
+/* Bring in changes made on the server by others; tasks with queued changes keep the local copy */
+async function pullServerBoard(boardId){
+  const { status, data } = await serverRequest('GET', boardPath(boardId));
+  if(boardId !== currentBoardId) return;
+  if(status === 404 || !data){
+    // the server lost the board: upload everything again
+    saveServerSyncState(boardId, null);
+    syncAgain = true;
+    return;
+  }
+  const remote = readServerBoard(data);
+  // don't pull cards out from under an active drag; the drop's own sync pulls again
+  if(boardId !== currentBoardId || draggingEl || pressState || keyboardGrab) return;
+  const state = loadServerSyncState(boardId);
+  const queued = new Set(state.queue.map(op => op.id));
+  const pick = (l, r) => queued.has((l || r).id) ? l : r;
+  const local = { columns: columnsMeta, board, tags: tagsMeta, archive, trash };
+  let merged;
+  if(queued.has(null)){
+    // our column layout is still on its way: keep it
+    merged = mergeTabPayloads(local, remote, pick);
   } else {
-    // create
-    const newTask = {
-      id: genId(),
-      title,
-      description: desc,
-      column,
-      createdAt: nowISO(),
-      updatedAt: nowISO()
-    };
-    board[column] = board[column] || [];
-    board[column].unshift(newTask); // place at top
-    showToast('Saved');
-    announce(`Task "${title}" created.`);
+    merged = mergeTabPayloads(remote, local, (r, l) => pick(l, r));
+    // columns and tags removed on the server go, unless queued local tasks still use them
+    const inUse = new Set();
+    merged.columns.forEach(({key}) => merged.board[key].forEach(t => t.tags.forEach(id => inUse.add(id))));
+    merged.columns = merged.columns.filter(c => remote.columns.some(r => r.key === c.key) || merged.board[c.key].length);
+    Object.keys(merged.board).forEach(key => { if(!merged.columns.some(c => c.key === key)) delete merged.board[key]; });
+    merged.tags = merged.tags.filter(t => remote.tags.some(r => r.id === t.id) || inUse.has(t.id));
   }
-  saveToStorage();
-  closeModal();
-  render();
+  if(sameBoard(merged, local)) return;
+  acceptServerBoard(merged);
+}
+
+/* One sync pass for the board on screen: connect if needed, send the queue, pull the server's board */
+async function runServerSync(){
+  const boardId = currentBoardId;
+  if(navigator.onLine === false){
+    setSyncStatus('offline');
+    return;
+  }
+  setSyncStatus('syncing');
+  try{
+    const connected = loadServerSyncState(boardId) || await connectBoard(boardId);
+    if(!connected) return;
+    const notices = await flushServerQueue(boardId);
+    await pullServerBoard(boardId);
+    if(boardId !== currentBoardId) return;
+    lastServerSyncAt = Date.now();
+    setSyncStatus('synced');
+    if(notices.length){
+      showToast(notices.join(' '), 6000);
+      announce(notices.join(' '));
+    }
+  }catch(e){
+    if(boardId !== currentBoardId || !serverSyncEnabled()) return;
+    console.warn('Server sync failed', e);
+    setSyncStatus(e.offline ? 'offline' : 'error', e.message);
+  }
+}
+
+/* Sync now; a request made while a pass is running starts one more pass after it */
+function syncWithServer(){
+  clearTimeout(syncTimer);
+  if(!serverSyncEnabled()){
+    setSyncStatus('off');
+    return Promise.resolve();
+  }
+  if(syncRunning){
+    syncAgain = true;
+    return syncRunning;
+  }
+  syncRunning = (async () => {
+    do{
+      syncAgain = false;
+      await runServerSync();
+    }while(syncAgain && serverSyncEnabled());
+  })().finally(() => { syncRunning = null; });
+  return syncRunning;
+}
+
+/* Sync after `delay` ms (restarting the wait if called again sooner) */
+function scheduleServerSync(delay){
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(syncWithServer, delay);
+}
+
+/* Number of changes of the current board waiting for the server */
+function queuedServerChanges(){
+  const state = serverSyncEnabled() ? loadServerSyncState(currentBoardId) : null;
+  return state ? state.queue.length : 0;
+}
+
+/* Update the status indicator (and the status line of the sync dialog) */
+function setSyncStatus(status, error){
+  syncStatus = status;
+  syncError = error || '';
+  renderSyncStatus();
+}
+
+/* Draw the sync status: 'Synced', 'Syncing…', 'Offline · 3 queued', ... */
+function renderSyncStatus(){
+  const status = serverSyncEnabled() ? syncStatus : 'off';
+  const queued = queuedServerChanges();
+  const labels = {
+    off: 'Sync off',
+    syncing: 'Syncing…',
+    synced: queued ? `${queued} to sync` : 'Synced',
+    offline: queued ? `Offline · ${queued} queued` : 'Offline',
+    error: 'Sync error'
+  };
+  syncStatusBtn.textContent = labels[status];
+  syncStatusBtn.dataset.state = status;
+  let detail = status === 'off' ? 'Server sync is off. Tasks are only saved in this browser.' : labels[status] + '.';
+  if(status === 'error') detail = `Sync error: ${syncError}. Changes stay queued and are retried.`;
+  if(status === 'offline') detail = `Offline. ${queued} change(s) will be sent when the server can be reached.`;
+  if(status !== 'off' && lastServerSyncAt) detail += ` Last synced ${new Date(lastServerSyncAt).toLocaleTimeString()}.`;
+  syncStatusBtn.title = detail;
+  syncDetail.textContent = detail;
+}
+
+/* Element focused before the sync dialog opened (focus returns there) */
+let syncReturnFocus = null;
+
+/* Open the sync settings dialog */
+function openSyncDialog(){
+  syncReturnFocus = document.activeElement;
+  syncEndpointInput.value = prefs.syncEndpoint;
+  syncEnabledInput.checked = prefs.syncEnabled;
+  renderSyncStatus();
+  syncBackdrop.style.display = 'flex';
+  syncBackdrop.setAttribute('aria-hidden','false');
+  syncEndpointInput.focus();
+}
+
+/* Close the sync settings dialog */
+function closeSyncDialog(){
+  syncBackdrop.style.display = 'none';
+  syncBackdrop.setAttribute('aria-hidden','true');
+  if(syncReturnFocus && syncReturnFocus.isConnected) syncReturnFocus.focus();
+  syncReturnFocus = null;
+}
+
+/* Save the sync settings; turning sync off or changing the server forgets the queues */
+/* (the next connection merges each board with the server's copy, newer edits winning) */
+function applySyncSettings(enabled, endpoint){
+  if(enabled !== prefs.syncEnabled || endpoint !== prefs.syncEndpoint) forgetServerSyncStates();
+  prefs.syncEnabled = enabled;
+  prefs.syncEndpoint = endpoint;
+  savePrefs();
+  lastServerSyncAt = 0;
+  setSyncStatus(serverSyncEnabled() ? 'syncing' : 'off');
+  return syncWithServer();
+}
+
+/* status indicator opens the sync settings */
+syncStatusBtn.addEventListener('click', openSyncDialog);
+
+/* save the sync settings */
+syncForm.addEventListener('submit', (e)=>{
+  e.preventDefault();
+  const endpoint = syncEndpointInput.value.trim();
+  if(syncEnabledInput.checked && !/^https?:\/\/\S+$/i.test(endpoint)){
+    syncDetail.textContent = 'Enter the server URL, e.g. http://localhost:8787/api';
+    syncEndpointInput.focus();
+    return;
+  }
+  closeSyncDialog();
+  applySyncSettings(syncEnabledInput.checked, endpoint);
+  const message = serverSyncEnabled() ? 'Server sync turned on' : 'Server sync turned off';
+  showToast(message);
+  announce(`${message}.`);
 });
 
-/* cancel button */
-cancelModalBtn.addEventListener('click', (e)=>{
+/* sync right away */
+syncNowBtn.addEventListener('click', ()=>{
+  syncWithServer().then(renderSyncStatus);
+});
+
+/* cancel sync settings */
+cancelSyncBtn.addEventListener('click', (e)=>{
   e.preventDefault();
-  closeModal();
+  closeSyncDialog();
 });
 
-/* clicking backdrop closes modal (but keep focus trapped minimal) */
-modalBackdrop.addEventListener('click', (e)=>{
-  if(e.target === modalBackdrop){
-    closeModal();
-  }
+/* clicking the sync backdrop cancels */
+syncBackdrop.addEventListener('click', (e)=>{
+  if(e.target === syncBackdrop) closeSyncDialog();
 });
 
-/* Delete   */
-function deleteTaskWithConfirm(id){
-  const t = getTaskById(id);
-  if(!t) return;
-  //const ok = confirm(`Are you sure you want to delete "${t.title}"?`);
-  //if(!ok) return;
-  const arr = board[t.column];
-  const idx = arr.findIndex(x=>x.id===id);
-  if(idx>-1) arr.splice(idx,1);
+/* replay the queue as soon as the browser is back online */
+window.addEventListener('online', ()=>syncWithServer());
+window.addEventListener('offline', ()=>{
+  if(serverSyncEnabled()) setSyncStatus('offline');
+});
+
+/* --- Column management --- */
+
+/* Generate unique column key: 'c_' prefix + random alphanumeric string */
+function genColumnKey(){
+  let key;
+  do { key = 'c_' + Math.random().toString(36).slice(2,8); } while(getColumnMeta(key));
+  return key;
+}
+
+/* Ask for a column name; returns trimmed name or null when cancelled/empty */
+function promptColumnTitle(message, current){
+  const value = prompt(message, current || '');
+  if(value === null) return null;
+  const title = value.trim();
+  if(!title){
+    showToast('Column name is required.');
+    return null;
+  }
+  return title;
+}
+
+/* add a new column at the end of the board */
+function addColumn(){
+  const title = promptColumnTitle('Name of the new column:');
+  if(!title) return;
+  const key = genColumnKey();
+  recordHistory(`add column "${title}"`);
+  columnsMeta.push({key, title});
+  board[key] = [];
   saveToStorage();
   render();
-  showToast('Deleted');
-  announce(`Task "${t.title}" deleted.`);
+  showUndoToast('Column added');
+  announce(`Column "${title}" added.`);
 }
 
-/* Inline quick-add (top controls) */
-openCreateBtn.addEventListener('click', ()=>{
-  const title = titleInputInline.value.trim();
-  if(title){
-    const column = columnSelectInline.value;
-    const newTask = {
-      id: genId(),
-      title,
-      description: '',
-      column,
-      createdAt: nowISO(),
-      updatedAt: nowISO()
-    };
-    board[column] = board[column] || [];
-    board[column].unshift(newTask);
-    saveToStorage();
-    render();
-    titleInputInline.value = '';
-    showToast('Saved');
-    announce(`Task "${newTask.title}" added.`);
+/* rename a column (tasks keep their column key, only the display name changes) */
+function renameColumn(key){
+  const meta = getColumnMeta(key);
+  if(!meta) return;
+  const title = promptColumnTitle('Rename column:', meta.title);
+  if(!title || title === meta.title) return;
+  const oldTitle = meta.title;
+  recordHistory(`rename column "${oldTitle}"`);
+  meta.title = title;
+  saveToStorage();
+  render();
+  showUndoToast('Column renamed');
+  announce(`Column "${oldTitle}" renamed to "${title}".`);
+}
+
+/* set or clear a column's WIP limit (maximum number of cards) */
+function setColumnLimit(key){
+  const meta = getColumnMeta(key);
+  if(!meta) return;
+  const input = prompt(`WIP limit for "${meta.title}" (leave empty for no limit):`, meta.limit ? String(meta.limit) : '');
+  if(input === null) return;
+  const value = input.trim();
+  const limit = value === '' ? null : Number(value);
+  if(limit !== null && !(Number.isInteger(limit) && limit > 0)){
+    showToast('The WIP limit must be a whole number greater than 0.');
     return;
   }
-  // if no inline title, open modal
-  openModalForCreate(columnSelectInline.value);
-});
+  if(limit === (meta.limit || null)) return;
+  recordHistory(`set WIP limit of "${meta.title}"`);
+  if(limit) meta.limit = limit;
+  else delete meta.limit;
+  saveToStorage();
+  render();
+  const count = (board[key] || []).length;
+  const message = !limit
+    ? `WIP limit of "${meta.title}" removed.`
+    : `WIP limit of "${meta.title}" set to ${limit}.` + (count > limit ? ` It already holds ${count} tasks.` : '');
+  showUndoToast(message);
+  announce(message);
+}
 
-/* clear storage button */
-clearStorageBtn.addEventListener('click', ()=>{
-  if(confirm('Clear all saved tasks?')) {
-    localStorage.removeItem(STORAGE_KEY);
-    board = { todo: [], inprogress: [], done: [] };
-    render();
-    showToast('Saved data cleared');
+/* How many more tasks a column can take before reaching its WIP limit (Infinity without a limit) */
+function wipRoom(key){
+  const meta = getColumnMeta(key);
+  return meta && meta.limit ? Math.max(0, meta.limit - (board[key] || []).length) : Infinity;
+}
+
+/* Number of the given tasks that would enter a column (tasks already in it don't count) */
+function incomingCount(tasks, key){
+  return tasks.filter(t => t && t.column !== key).length;
+}
+
+/* Can `count` more tasks go into a column? Otherwise explain why not (toast + screen reader) */
+/* Shared by drops, keyboard moves, quick-add, the task modal and bulk moves */
+function checkWipLimit(key, count){
+  const room = wipRoom(key);
+  if(count <= room) return true;
+  const meta = getColumnMeta(key);
+  const message = room === 0
+    ? `"${meta.title}" is at its WIP limit of ${meta.limit}. Finish or move a task out first.`
+    : `"${meta.title}" has room for only ${room} more task(s) (WIP limit ${meta.limit}).`;
+  showToast(message, 4000);
+  announce(message);
+  return false;
+}
+
+/* move a column one position left (-1) or right (+1) */
+function moveColumn(key, delta){
+  const idx = columnsMeta.findIndex(c => c.key === key);
+  const newIdx = idx + delta;
+  if(idx === -1 || newIdx < 0 || newIdx >= columnsMeta.length) return;
+  recordHistory(`move column "${columnsMeta[idx].title}"`);
+  const [meta] = columnsMeta.splice(idx, 1);
+  columnsMeta.splice(newIdx, 0, meta);
+  saveToStorage();
+  render();
+  announce(`Column "${meta.title}" moved to position ${newIdx + 1} of ${columnsMeta.length}.`);
+}
+
+/* delete a column; its tasks move to the end of the previous column (or the next one if it was first) */
+function deleteColumn(key){
+  const idx = columnsMeta.findIndex(c => c.key === key);
+  if(idx === -1 || columnsMeta.length === 1) return;
+  const meta = columnsMeta[idx];
+  const target = columnsMeta[idx === 0 ? 1 : idx - 1];
+  const tasks = board[key] || [];
+  const message = tasks.length
+    ? `Delete column "${meta.title}"? Its ${tasks.length} task(s) will move to "${target.title}".`
+    : `Delete column "${meta.title}"?`;
+  if(!confirm(message)) return;
+
+  recordHistory(`delete column "${meta.title}"`);
+  tasks.forEach(t => {
+    logColumnChange(t, target.key);
+    t.column = target.key;
+    t.updatedAt = nowISO();
+  });
+  board[target.key] = (board[target.key] || []).concat(tasks);
+  delete board[key];
+  columnsMeta.splice(idx, 1);
+  saveToStorage();
+  render();
+  showUndoToast('Column deleted');
+  announce(tasks.length
+    ? `Column "${meta.title}" deleted. ${tasks.length} task(s) moved to "${target.title}".`
+    : `Column "${meta.title}" deleted.`);
+}
+
+/* add column button */
+addColumnBtn.addEventListener('click', addColumn);
+
+/* --- Keyboard moves --- */
+/* Space picks the focused card up; while it is held the arrow keys move it (Up/Down within its
+   column, Left/Right into the neighbouring columns), Space or Enter drops it and Escape (or moving
+   focus away) puts it back. Only the card's place in the page changes until the drop, which is
+   saved and undone in one step like a pointer drag. */
+
+/* Card held with the keyboard: { id, column, to, index, moving } with the column it was picked up from,
+   the column it is shown in and its place among the other cards shown there (an index into that
+   column's view.visible without it), `moving` while the card element is being re-inserted or a
+   confirmation is open (focus leaves the card then without letting go of it) */
+let keyboardGrab = null;
+
+/* Card element of the held task */
+function grabbedCardEl(){
+  return keyboardGrab && boardEl.querySelector(`.task-card[data-id="${keyboardGrab.id}"]`);
+}
+
+/* "position 3 of 7 in In Progress" for a card in the page (counts every card the column shows,
+   including the ones a virtualized column keeps out of the page) */
+function describeCardPosition(card){
+  const key = card.parentElement.dataset.column;
+  const visible = columnViews.get(key).visible;
+  return `position ${visible.findIndex(t => t.id === card.dataset.id) + 1} of ${visible.length} in ${getColumnTitle(key)}`;
+}
+
+/* Tasks a column shows besides the held card */
+function cardsBesideGrab(key){
+  return columnViews.get(key).visible.filter(t => t.id !== keyboardGrab.id);
+}
+
+/* Show the held card at keyboardGrab.to / .index after it left column `from`, keeping focus on it:
+   both columns are patched, and a virtualized one is re-windowed around the card.
+   Returns true when the column it is shown in is full */
+function showGrabbedCard(from){
+  const task = getTaskById(keyboardGrab.id);
+  const { to, index } = keyboardGrab;
+  const target = columnViews.get(to);
+  const source = columnViews.get(from);
+  source.visible = cardsBesideGrab(from);
+  target.visible = cardsBesideGrab(to);
+  target.visible.splice(index, 0, task);
+  keyboardGrab.moving = true;
+  if(source !== target) patchColumnList(source, null);
+  patchColumnList(target, task.id);
+  grabbedCardEl().focus();
+  keyboardGrab.moving = false;
+  refreshSelectionUI();
+  boardEl.querySelectorAll('.column.drop-highlight, .column.wip-blocked').forEach(col => col.classList.remove('drop-highlight', 'wip-blocked'));
+  // a column at its WIP limit can be passed through but not dropped into
+  const full = to !== keyboardGrab.column && wipRoom(to) < 1;
+  target.el.classList.add(full ? 'wip-blocked' : 'drop-highlight');
+  return full;
+}
+
+/* Take the held-card marks off a card and the columns it passed (the card element is reused by render) */
+function clearGrabMarks(card){
+  card.classList.remove('kbd-grabbed');
+  card.setAttribute('aria-grabbed','false');
+  boardEl.querySelectorAll('.column.drop-highlight, .column.wip-blocked').forEach(col => col.classList.remove('drop-highlight', 'wip-blocked'));
+}
+
+/* Pick a card up */
+function startKeyboardGrab(card){
+  const task = getTaskById(card.dataset.id);
+  if(!task) return;
+  const index = columnViews.get(task.column).visible.indexOf(task);
+  keyboardGrab = { id: task.id, column: task.column, to: task.column, index, moving: false };
+  card.classList.add('kbd-grabbed');
+  card.setAttribute('aria-grabbed','true');
+  card.closest('.column').classList.add('drop-highlight');
+  announce(`Task "${task.title}" picked up, ${describeCardPosition(card)}. Use the arrow keys to move it, Space to drop it, Escape to cancel.`);
+}
+
+/* Move the held card one step: ArrowUp/ArrowDown within the column, ArrowLeft/ArrowRight across columns */
+/* Steps go through every card the column shows, also past the part of a virtualized column in the page */
+function moveGrabbedCard(key){
+  const card = grabbedCardEl();
+  const from = keyboardGrab.to;
+  if(key === 'ArrowUp' || key === 'ArrowDown'){
+    const meta = getColumnMeta(from);
+    if(meta.sort){
+      announce(`${meta.title} is sorted by ${COLUMN_SORTS[meta.sort].label.toLowerCase()}; switch it to manual order to reorder its cards.`);
+      return;
+    }
+    const step = key === 'ArrowUp' ? -1 : 1;
+    const index = keyboardGrab.index + step;
+    if(index < 0 || index > cardsBesideGrab(from).length){
+      announce(`Already at the ${step < 0 ? 'top' : 'bottom'}, ${describeCardPosition(card)}.`);
+      return;
+    }
+    keyboardGrab.index = index;
+  } else {
+    const colIdx = columnsMeta.findIndex(c => c.key === from);
+    const target = columnsMeta[colIdx + (key === 'ArrowRight' ? 1 : -1)];
+    if(!target){
+      announce(`Already in the ${key === 'ArrowRight' ? 'last' : 'first'} column, ${describeCardPosition(card)}.`);
+      return;
+    }
+    // stay on the same row where possible; a sorted column shows the card where the sort will put it
+    const beside = cardsBesideGrab(target.key);
+    const next = target.sort ? sortedNeighbour(target.key, [keyboardGrab.id]) : null;
+    keyboardGrab.to = target.key;
+    keyboardGrab.index = target.sort
+      ? (next ? beside.indexOf(next) : beside.length)
+      : Math.min(keyboardGrab.index, beside.length);
   }
-});
+  const full = showGrabbedCard(from);
+  const meta = getColumnMeta(keyboardGrab.to);
+  announce(describeCardPosition(grabbedCardEl()) + (full ? `. "${meta.title}" is at its WIP limit of ${meta.limit}; the card can't be dropped here.` : '.'));
+}
+
+/* Drop the held card where it is shown (refused, and still held, over a full column) */
+function dropGrabbedCard(){
+  const card = grabbedCardEl();
+  const list = card.parentElement;
+  const toColumn = list.dataset.column;
+  const fromColumn = keyboardGrab.column;
+  const task = getTaskById(keyboardGrab.id);
+  if(toColumn !== fromColumn && !checkWipLimit(toColumn, 1)) return;
+  const newIndex = dropIndexBefore(list, card, [task.id]);
+  const oldIndex = board[fromColumn].indexOf(task);
+  // the confirmation dialog takes focus from the card: that blur must not cancel the move
+  keyboardGrab.moving = true;
+  const confirmed = confirmOpenChecklists([task], toColumn);
+  keyboardGrab.moving = false;
+  if(!confirmed){
+    cancelKeyboardGrab(true);
+    return;
+  }
+  keyboardGrab = null;
+  clearGrabMarks(card);
+  const moved = toColumn !== fromColumn || oldIndex !== newIndex;
+  if(moved){
+    recordHistory(`move "${task.title}"`);
+    moveTaskTo(task.id, fromColumn, toColumn, newIndex);
+    showUndoToast(`Moved to ${getColumnTitle(toColumn)}`);
+  }
+  render(); // keeps focus on the card
+  const dropped = boardEl.querySelector(`.task-card[data-id="${task.id}"]`);
+  announce(`Task "${task.title}" dropped${moved ? '' : ' where it was'}` + (dropped ? `, ${describeCardPosition(dropped)}.` : '.'));
+  applyDeferredSync();
+}
+
+/* Put the held card back where it was picked up (nothing was saved); keepFocus: focus the card again */
+function cancelKeyboardGrab(keepFocus){
+  const task = getTaskById(keyboardGrab.id);
+  render(); // lets go of the card and shows every column as saved
+  const card = boardEl.querySelector(`.task-card[data-id="${task.id}"]`);
+  if(keepFocus && card) card.focus();
+  announce(`Move cancelled. Task "${task.title}" is back at ${card ? describeCardPosition(card) : 'its place'}.`);
+  applyDeferredSync();
+}
 
-/* keyboard: move focused card between columns using Ctrl + ArrowLeft/ArrowRight */
+/* keyboard on a card:
+   - Space picks it up (see above); Shift+Space adds it to / removes it from the selection
+   - Arrow Right / Arrow Left move it straight to the top of the next / previous column
+   - Enter opens the edit dialog, Delete moves it to the trash */
 function handleCardKeydown(e){
   const el = e.currentTarget;
   const id = el.dataset.id;
-  
-  // Arrow Right: Move to next column (no Ctrl needed)
-  if(e.key === 'ArrowRight'){
-    e.preventDefault();
-    const task = getTaskById(id);
-    if(!task) return;
-    const order = ['todo','inprogress','done'];
-    const idx = order.indexOf(task.column);
-    const newIdx = Math.min(2, idx + 1); // Don't go past "done"
-    if(newIdx !== idx){
-      moveTaskTo(id, task.column, order[newIdx], 0);
-      render();
-      announce(`Task moved to ${order[newIdx] === 'todo' ? 'To Do' : order[newIdx] === 'inprogress' ? 'In Progress' : 'Done'}`);
+  // keys pressed on the card's own buttons keep their normal behaviour
+  if(e.target !== el) return;
+
+  if(keyboardGrab){
+    if(keyboardGrab.id !== id) return;
+    if(['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key)){
+      e.preventDefault();
+      moveGrabbedCard(e.key);
+    } else if(e.key === ' ' || e.key === 'Enter'){
+      e.preventDefault();
+      dropGrabbedCard();
+    } else if(e.key === 'Escape'){
+      e.preventDefault();
+      e.stopPropagation(); // not also a "clear selection"
+      cancelKeyboardGrab(true);
     }
     return;
   }
 
-  // Arrow Left: Move to previous column (no Ctrl needed)
-  if(e.key === 'ArrowLeft'){
+  if(e.key === 'ArrowRight' || e.key === 'ArrowLeft'){
     e.preventDefault();
     const task = getTaskById(id);
     if(!task) return;
-    const order = ['todo','inprogress','done'];
-    const idx = order.indexOf(task.column);
-    const newIdx = Math.max(0, idx - 1); // Don't go before "todo"
+    const idx = columnsMeta.findIndex(c => c.key === task.column);
+    const step = e.key === 'ArrowRight' ? 1 : -1;
+    // Don't go past the first or last column
+    const newIdx = Math.min(columnsMeta.length - 1, Math.max(0, idx + step));
     if(newIdx !== idx){
-      moveTaskTo(id, task.column, order[newIdx], 0);
-      render();
-      announce(`Task moved to ${order[newIdx] === 'todo' ? 'To Do' : order[newIdx] === 'inprogress' ? 'In Progress' : 'Done'}`);
+      const target = columnsMeta[newIdx];
+      if(!checkWipLimit(target.key, 1)) return;
+      if(!confirmOpenChecklists([task], target.key)) return;
+      recordHistory(`move "${task.title}"`);
+      moveTaskTo(id, task.column, target.key, 0);
+      render(); // keeps focus on the card
+      announce(`Task moved to ${target.title}`);
     }
     return;
   }
 
+  // Shift+Space toggles selection of the focused card, Space picks it up
+  if(e.key === ' '){
+    e.preventDefault();
+    if(e.shiftKey) toggleSelection(id);
+    else startKeyboardGrab(el);
+    return;
+  }
+
   // Enter to open edit
   if(e.key === 'Enter'){
     openModalForEdit(id);
@@ -652,22 +5918,96 @@ function handleCardKeydown(e){
   }
 }
 
+/* focus leaving a held card (Tab, a click elsewhere) cancels the move */
+function handleCardBlur(e){
+  if(keyboardGrab && !keyboardGrab.moving && keyboardGrab.id === e.currentTarget.dataset.id) cancelKeyboardGrab();
+}
+
 /* init: load data & render, attach drag handlers to document for cleanup */
-function init(){
-  const ok = loadFromStorage();
+async function init(){
+  loadPrefs();
+  prefConfirmChecklist.checked = prefs.confirmOpenChecklist;
+  loadBoardsIndex(); // picks the last opened board
+  await initStorage();
+  await migrateLegacyBoards();
+  const ok = await loadFromStorage();
   if(!ok){
     // if no stored state, sample for demo (small sample)
-    board = { todo: [], inprogress: [], done: [] };
+    resetBoardState();
     // one sample task each (optional)
     // board.todo.push({id:genId(),title:'Sample task',description:'A sample description',column:'todo',createdAt:nowISO(),updatedAt:nowISO()});
   }
+  loadHistory();
+  purgeExpiredTrash();
+  renderBulkFieldOptions();
   render();
+  setInterval(checkDueDates, DUE_CHECK_MS);
+  renderSyncStatus();
+  syncWithServer();
+  setInterval(()=>{
+    if(document.visibilityState !== 'hidden') syncWithServer();
+  }, SYNC_POLL_MS);
 
   // keyboard accessibility: allow tabbing and actions
   document.addEventListener('keydown', (e)=>{
+    // focus can't Tab out of an open dialog
+    if(e.key === 'Tab' && isDialogOpen()){
+      trapDialogFocus(e);
+      return;
+    }
+    // ESC cancels an active drag
+    if(e.key === 'Escape' && draggingEl){
+      finishDrag(false);
+      return;
+    }
+    // ESC closes the tag manager first (it can sit on top of the task modal)
+    if(e.key === 'Escape' && tagsBackdrop.style.display === 'flex'){
+      closeTagManager();
+      return;
+    }
     // ESC closes modal
     if(e.key === 'Escape' && modalBackdrop.style.display === 'flex'){
       closeModal();
+      return;
+    }
+    if(e.key === 'Escape' && importBackdrop.style.display === 'flex'){
+      closeImportDialog();
+      return;
+    }
+    if(e.key === 'Escape' && syncBackdrop.style.display === 'flex'){
+      closeSyncDialog();
+      return;
+    }
+    if(e.key === 'Escape' && archiveBackdrop.style.display === 'flex'){
+      closeShelfDialog('archive');
+      return;
+    }
+    if(e.key === 'Escape' && trashBackdrop.style.display === 'flex'){
+      closeShelfDialog('trash');
+      return;
+    }
+    if(e.key === 'Escape' && statsBackdrop.style.display === 'flex'){
+      closeStatsDialog();
+      return;
+    }
+    // ESC clears the card selection
+    if(e.key === 'Escape' && selectedIds.size){
+      clearSelection();
+      return;
+    }
+
+    // Ctrl+Z undo, Ctrl+Shift+Z (or Ctrl+Y) redo; Cmd on macOS
+    // Text fields keep their native undo, and the modal has its own edit in progress
+    if(!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if(e.target.closest && e.target.closest('input, textarea, select')) return;
+    if(isDialogOpen()) return;
+    const key = e.key.toLowerCase();
+    if(key === 'z' && !e.shiftKey){
+      e.preventDefault();
+      undo();
+    } else if((key === 'z' && e.shiftKey) || key === 'y'){
+      e.preventDefault();
+      redo();
     }
   });
 }
@@ -675,6 +6015,7 @@ function init(){
 /* small SVG icons (inline) */
 function svgBars(){ return `<svg width="16" height="16" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true"><path d="M6 6h8M6 10h8M6 14h8" stroke="currentColor" stroke-width="1.6" stroke-linecap="round" stroke-linejoin="round"/></svg>` }
 function svgPencil(){ return `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true"><path d="M3 21l3-1 11-11a2.828 2.828 0 10-4-4L6 16 5 19 3 21zM14.5 6.5l3 3" stroke="currentColor" stroke-width="1.6" stroke-linecap="round" stroke-linejoin="round"/></svg>` }
+function svgArchive(){ return `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true"><path d="M3 4h18v4H3zM5 8v11a1 1 0 001 1h12a1 1 0 001-1V8M10 12h4" stroke="currentColor" stroke-width="1.6" stroke-linecap="round" stroke-linejoin="round"/></svg>` }
 function svgTrash(){ return `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true"><path d="M3 6h18M8 6v12a2 2 0 002 2h4a2 2 0 002-2V6M10 6V4a2 2 0 012-2h0a2 2 0 012 2v2" stroke="currentColor" stroke-width="1.6" stroke-linecap="round" stroke-linejoin="round"/></svg>` }
 
 /* initialize app */